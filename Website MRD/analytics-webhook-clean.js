@@ -1,69 +1,1233 @@
+// Spam thresholds - keep in step with spamProtection in mrd-brain-system.js
+const SPAM_MIN_SUBMIT_MS = 3000;
+const SPAM_POW_DIFFICULTY = 12;
+// A challenge is accepted from SKEW before its issue time (fast browser clocks) to MAX_AGE after it.
+// Used challenges are remembered for 6 hours, the longest CacheService holds a value, which
+// outlasts that whole window, so a solved challenge can never be replayed.
+const SPAM_CHALLENGE_MAX_AGE_MS = 5 * 60 * 60 * 1000;
+const SPAM_CHALLENGE_MAX_SKEW_MS = 30 * 60 * 1000;
+const SPAM_EMAIL_LIMIT = 3; // submissions per email per hour
+// is_registered lookups answer "is this address a member?", so they are limited like submissions:
+// per address, and in total, since Apps Script cannot tell callers apart
+const LOOKUP_EMAIL_LIMIT = 10; // lookups per email hash per hour
+const LOOKUP_TOTAL_LIMIT = 300; // lookups across all callers per 10 minutes
+const SPAM_WEIGHTS = { honeypot: 100, too_fast: 40, rate_limited: 60, pow_missing: 30, pow_invalid: 60, pow_reused: 60 };
+const SPAM_QUARANTINE_SCORE = 40;
+const SPAM_REJECT_SCORE = 100;
+
+// Forms whose submissions count as a membership registration
+const REGISTRATION_FORM_IDS = ['join-form'];
+
+// Signed requests older (or further in the future) than this are refused
+const SIGNATURE_MAX_SKEW_MS = 5 * 60 * 1000;
+// Nonces are remembered a little longer than the skew window so a replay can never slip through
+const NONCE_TTL_SECONDS = 600;
+// Refusals a retry of the same request cannot fix; the client settles the submission instead
+const PERMANENT_AUTH_ERRORS = ['missing_signature', 'invalid_nonce'];
+
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Fields every analytics event carries, whatever its type
+const EVENT_ENVELOPE_SCHEMA = {
+  event_type: { type: 'string', required: true, pattern: /^[a-z][a-z0-9_]{1,49}$/ },
+  timestamp: { type: 'string', required: true, pattern: ISO_TIMESTAMP },
+  session_id: { type: 'string', maxLength: 100 },
+  visitor_id: { type: 'string', maxLength: 100 },
+  session_number: { type: 'number', min: 1 },
+  landing_page: { type: 'string', maxLength: 100 },
+  page_count: { type: 'number', min: 1 },
+  page: { type: 'string', required: true, maxLength: 100 },
+  user_agent: { type: 'string', maxLength: 500 },
+  screen_size: { type: 'string', pattern: /^\d{1,5}x\d{1,5}$/ },
+  referrer: { type: 'string', maxLength: 2000 },
+  sample_rate: { type: 'number', min: 0, max: 1 },
+  timezone: { type: 'string', maxLength: 64 },
+  tz_offset: { type: 'number', min: -720, max: 840 },
+  event_data: { type: 'object' }
+};
+
+// event_data fields per event type; types not listed only get the envelope check
+const EVENT_DATA_SCHEMAS = {
+  page_view: {
+    url: { type: 'string', required: true, maxLength: 2000 },
+    title: { type: 'string', maxLength: 300 },
+    page_group: { type: 'string', maxLength: 50 },
+    content_category: { type: 'string', maxLength: 50 },
+    section: { type: 'string', maxLength: 100 },
+    channel: { type: 'string', maxLength: 30 },
+    source: { type: 'string', maxLength: 100 },
+    medium: { type: 'string', maxLength: 100 },
+    campaign: { type: 'string', maxLength: 100 }
+  },
+  section_view: {
+    section: { type: 'string', required: true, maxLength: 100 },
+    page_group: { type: 'string', maxLength: 50 },
+    content_category: { type: 'string', maxLength: 50 }
+  },
+  interaction: {
+    type: { type: 'string', required: true, maxLength: 50 },
+    element: { type: 'object', required: true }
+  },
+  scroll: {
+    scrollY: { type: 'number', required: true, min: 0 }
+  },
+  element_visible: {
+    element: { type: 'string', required: true, maxLength: 50 }
+  },
+  breakpoint_change: {
+    width: { type: 'number', required: true, min: 0 },
+    height: { type: 'number', required: true, min: 0 },
+    breakpoint: { type: 'string', required: true, enum: ['mobile', 'tablet', 'desktop'] }
+  },
+  form_submission: {
+    form_id: { type: 'string', required: true, maxLength: 100 },
+    fields_count: { type: 'number', min: 0 },
+    first_touch: { type: 'object' },
+    last_touch: { type: 'object' },
+    time_spent_ms: { type: 'number', min: 0 },
+    corrections: { type: 'number', min: 0 },
+    error_count: { type: 'number', min: 0 },
+    fields: { type: 'object' }
+  },
+  form_abandoned: {
+    form_id: { type: 'string', required: true, maxLength: 100 },
+    attempt_id: { type: 'string', maxLength: 50 },
+    time_spent_ms: { type: 'number', required: true, min: 0 },
+    fields_touched: { type: 'number', min: 0 },
+    corrections: { type: 'number', min: 0 },
+    error_count: { type: 'number', min: 0 },
+    submit_attempts: { type: 'number', min: 0 },
+    last_field: { type: 'string', maxLength: 100 },
+    fields: { type: 'object' }
+  },
+  // Sent when a visitor returns to a form already reported as abandoned; cancels that report
+  form_resumed: {
+    form_id: { type: 'string', required: true, maxLength: 100 },
+    attempt_id: { type: 'string', required: true, maxLength: 50 }
+  },
+  goal_completed: {
+    goal_id: { type: 'string', required: true, maxLength: 100 },
+    goal_name: { type: 'string', maxLength: 200 },
+    trigger: { type: 'string', maxLength: 50 },
+    ms_since_session_start: { type: 'number', min: 0 }
+  },
+  funnel_step: {
+    funnel_id: { type: 'string', required: true, maxLength: 100 },
+    step_id: { type: 'string', required: true, maxLength: 100 },
+    step_index: { type: 'number', required: true, min: 1 },
+    step_count: { type: 'number', required: true, min: 1 },
+    ms_since_previous_step: { type: 'number', min: 0 },
+    ms_since_funnel_start: { type: 'number', min: 0 },
+    completed: { type: 'boolean' }
+  },
+  modal_open: {
+    modal_id: { type: 'string', required: true, maxLength: 100 },
+    video_id: { type: 'string', maxLength: 50 }
+  },
+  modal_close: {
+    modal_id: { type: 'string', required: true, maxLength: 100 },
+    video_id: { type: 'string', maxLength: 50 },
+    reason: { type: 'string', maxLength: 50 },
+    dwell_ms: { type: 'number', required: true, min: 0 }
+  },
+  core_web_vitals: {
+    metric: { type: 'string', required: true, enum: ['LCP', 'INP', 'CLS', 'FCP', 'TTFB'] },
+    value: { type: 'number', required: true, min: 0 },
+    rating: { type: 'string', enum: ['good', 'needs-improvement', 'poor'] },
+    attribution: { type: 'object' }
+  },
+  page_load: {
+    ttfb: { type: 'number', required: true, min: 0 },
+    load: { type: 'number', required: true, min: 0 },
+    dns: { type: 'number', min: 0 },
+    tls: { type: 'number', min: 0 },
+    dom_interactive: { type: 'number', min: 0 },
+    page_weight: { type: 'number', min: 0 },
+    resource_count: { type: 'number', min: 0 },
+    resource_groups: { type: 'object' },
+    slow_resources: { type: 'array' },
+    large_resources: { type: 'array' }
+  },
+  page_unload: {
+    time_on_page: { type: 'number', required: true, min: 0 }
+  },
+  performance_issue: {
+    metric: { type: 'string', required: true, maxLength: 50 },
+    value: { type: 'number', required: true },
+    budget: { type: 'number', required: true },
+    url: { type: 'string', maxLength: 2000 }
+  },
+  session_start: {
+    id: { type: 'string', required: true, maxLength: 100 }
+  },
+  session_end: {
+    id: { type: 'string', required: true, maxLength: 100 },
+    duration: { type: 'number', min: 0 }
+  },
+  batch_sent: {
+    count: { type: 'number', required: true, min: 0 }
+  }
+};
+
+// Oversized events are refused outright rather than truncated into the sheet
+const MAX_EVENT_DATA_LENGTH = 20000;
+const MAX_EVENTS_PER_BATCH = 100;
+
+// How long a batch waits for another request's write before giving up
+const WRITE_LOCK_TIMEOUT_MS = 10000;
+
+// archiveOldRows() moves rows older than this into monthly archive sheets
+const ARCHIVE_AFTER_DAYS = 90;
+
+/**
+ * Event types with a dedicated sheet. Every routed sheet starts with the same
+ * columns so reports can read them alike; the rest are typed per event type.
+ * Anything not routed here lands in AnalyticsLog in the original layout.
+ */
+const COMMON_COLUMNS = [
+  { header: 'received_at', type: 'date', value: function(event, data, receivedAt) { return receivedAt; } },
+  { header: 'event_time', type: 'date', value: function(event) { return event.timestamp; } },
+  { header: 'event_type', type: 'string', value: function(event) { return event.event_type; } },
+  { header: 'session_id', type: 'string', value: function(event) { return event.session_id; } },
+  { header: 'visitor_id', type: 'string', value: function(event) { return event.visitor_id; } },
+  { header: 'session_number', type: 'number', value: function(event) { return event.session_number; } },
+  { header: 'landing_page', type: 'string', value: function(event) { return event.landing_page; } },
+  { header: 'page_count', type: 'number', value: function(event) { return event.page_count; } },
+  { header: 'page', type: 'string', value: function(event) { return event.page; } },
+  { header: 'timezone', type: 'string', value: function(event) { return event.timezone; } },
+  { header: 'tz_offset', type: 'number', value: function(event) { return event.tz_offset; } },
+  { header: 'sample_rate', type: 'number', value: function(event) { return event.sample_rate || 1; } }
+];
+
+const SHEET_ROUTES = [
+  {
+    sheet: 'PageViews',
+    eventTypes: ['page_view'],
+    columns: [
+      { header: 'url', type: 'string', value: function(event, data) { return data.url; } },
+      { header: 'title', type: 'string', value: function(event, data) { return data.title; } },
+      { header: 'referrer', type: 'string', value: function(event) { return event.referrer; } },
+      { header: 'user_agent', type: 'string', value: function(event) { return event.user_agent; } },
+      { header: 'screen_size', type: 'string', value: function(event) { return event.screen_size; } },
+      { header: 'page_group', type: 'string', value: function(event, data) { return data.page_group; } },
+      { header: 'content_category', type: 'string', value: function(event, data) { return data.content_category; } },
+      { header: 'section', type: 'string', value: function(event, data) { return data.section; } },
+      { header: 'channel', type: 'string', value: function(event, data) { return data.channel; } },
+      { header: 'source', type: 'string', value: function(event, data) { return data.source; } },
+      { header: 'medium', type: 'string', value: function(event, data) { return data.medium; } },
+      { header: 'campaign', type: 'string', value: function(event, data) { return data.campaign; } }
+    ]
+  },
+  {
+    sheet: 'Interactions',
+    eventTypes: ['interaction'],
+    columns: [
+      { header: 'interaction_type', type: 'string', value: function(event, data) { return data.type; } },
+      { header: 'element_tag', type: 'string', value: function(event, data) { return (data.element || {}).tag; } },
+      { header: 'element_id', type: 'string', value: function(event, data) { return (data.element || {}).id; } },
+      { header: 'element_text', type: 'string', value: function(event, data) { return (data.element || {}).text; } }
+    ]
+  },
+  {
+    sheet: 'WebVitals',
+    eventTypes: ['core_web_vitals'],
+    columns: [
+      { header: 'metric', type: 'string', value: function(event, data) { return data.metric; } },
+      { header: 'value', type: 'number', value: function(event, data) { return data.value; } },
+      { header: 'rating', type: 'string', value: function(event, data) { return data.rating; } },
+      // LCP element, slowest interaction target or the largest shift's sources
+      { header: 'element', type: 'string', value: function(event, data) { return getVitalElement(data); } },
+      { header: 'attribution', type: 'json', value: function(event, data) { return data.attribution; } }
+    ]
+  },
+  {
+    sheet: 'PageLoads',
+    eventTypes: ['page_load'],
+    columns: [
+      { header: 'navigation_type', type: 'string', value: function(event, data) { return data.type; } },
+      { header: 'dns_ms', type: 'number', value: function(event, data) { return data.dns; } },
+      { header: 'tls_ms', type: 'number', value: function(event, data) { return data.tls; } },
+      { header: 'ttfb_ms', type: 'number', value: function(event, data) { return data.ttfb; } },
+      { header: 'dom_interactive_ms', type: 'number', value: function(event, data) { return data.dom_interactive; } },
+      { header: 'load_ms', type: 'number', value: function(event, data) { return data.load; } },
+      { header: 'page_weight_bytes', type: 'number', value: function(event, data) { return data.page_weight; } },
+      { header: 'resource_count', type: 'number', value: function(event, data) { return data.resource_count; } },
+      { header: 'resource_groups', type: 'json', value: function(event, data) { return data.resource_groups; } },
+      { header: 'slow_resources', type: 'json', value: function(event, data) { return data.slow_resources; } },
+      { header: 'large_resources', type: 'json', value: function(event, data) { return data.large_resources; } }
+    ]
+  },
+  {
+    sheet: 'PerformanceBudget',
+    eventTypes: ['performance_issue'],
+    columns: [
+      { header: 'metric', type: 'string', value: function(event, data) { return data.metric; } },
+      { header: 'value', type: 'number', value: function(event, data) { return data.value; } },
+      { header: 'budget', type: 'number', value: function(event, data) { return data.budget; } },
+      { header: 'over_by', type: 'number', value: function(event, data) { return data.over_by; } },
+      { header: 'unit', type: 'string', value: function(event, data) { return data.unit; } },
+      { header: 'resource_url', type: 'string', value: function(event, data) { return data.url; } },
+      { header: 'resource_group', type: 'string', value: function(event, data) { return data.group; } }
+    ]
+  },
+  {
+    // FormSubmissions holds the submissions themselves; these are the analytics events about them
+    sheet: 'FormEvents',
+    eventTypes: ['form_submission', 'form_abandoned', 'form_resumed'],
+    columns: [
+      { header: 'form_id', type: 'string', value: function(event, data) { return data.form_id; } },
+      { header: 'fields_count', type: 'number', value: function(event, data) { return data.fields_count; } },
+      { header: 'first_channel', type: 'string', value: function(event, data) { return touchValue(data.first_touch, 'channel'); } },
+      { header: 'first_source', type: 'string', value: function(event, data) { return touchValue(data.first_touch, 'source'); } },
+      { header: 'first_campaign', type: 'string', value: function(event, data) { return touchValue(data.first_touch, 'campaign'); } },
+      { header: 'last_channel', type: 'string', value: function(event, data) { return touchValue(data.last_touch, 'channel'); } },
+      { header: 'last_source', type: 'string', value: function(event, data) { return touchValue(data.last_touch, 'source'); } },
+      { header: 'last_campaign', type: 'string', value: function(event, data) { return touchValue(data.last_touch, 'campaign'); } },
+      { header: 'time_spent_ms', type: 'number', value: function(event, data) { return data.time_spent_ms; } },
+      { header: 'corrections', type: 'number', value: function(event, data) { return data.corrections; } },
+      { header: 'error_count', type: 'number', value: function(event, data) { return data.error_count; } },
+      { header: 'submit_attempts', type: 'number', value: function(event, data) { return data.submit_attempts; } },
+      { header: 'last_field', type: 'string', value: function(event, data) { return data.last_field; } },
+      { header: 'fields', type: 'json', value: function(event, data) { return data.fields; } },
+      // Pairs a form_resumed row with the form_abandoned row it cancels
+      { header: 'attempt_id', type: 'string', value: function(event, data) { return data.attempt_id; } }
+    ]
+  },
+  {
+    sheet: 'Conversions',
+    eventTypes: ['goal_completed', 'funnel_step'],
+    columns: [
+      { header: 'goal_or_funnel', type: 'string', value: function(event, data) { return data.goal_id || data.funnel_id; } },
+      { header: 'step_id', type: 'string', value: function(event, data) { return data.step_id; } },
+      { header: 'step_index', type: 'number', value: function(event, data) { return data.step_index; } },
+      { header: 'step_count', type: 'number', value: function(event, data) { return data.step_count; } },
+      { header: 'funnel_completed', type: 'string', value: function(event, data) { return data.completed === undefined ? '' : String(data.completed); } },
+      { header: 'ms_since_previous_step', type: 'number', value: function(event, data) { return data.ms_since_previous_step; } },
+      { header: 'ms_since_start', type: 'number', value: function(event, data) { return data.funnel_id ? data.ms_since_funnel_start : data.ms_since_session_start; } }
+    ]
+  },
+  {
+    sheet: 'Modals',
+    eventTypes: ['modal_open', 'modal_close'],
+    columns: [
+      { header: 'modal_id', type: 'string', value: function(event, data) { return data.modal_id; } },
+      { header: 'video_id', type: 'string', value: function(event, data) { return data.video_id; } },
+      { header: 'close_reason', type: 'string', value: function(event, data) { return data.reason; } },
+      { header: 'dwell_ms', type: 'number', value: function(event, data) { return data.dwell_ms; } }
+    ]
+  },
+  {
+    sheet: 'Errors',
+    eventTypes: ['error', 'submission_failed', 'submission_rejected', 'form_validation_failed', 'spam_blocked'],
+    columns: [
+      { header: 'message', type: 'string', value: function(event, data) { return data.message || data.error; } },
+      { header: 'source', type: 'string', value: function(event, data) { return data.source || data.form_id; } },
+      { header: 'details', type: 'json', value: function(event, data) { return data; } }
+    ]
+  }
+];
+
 function doPost(e) {
   try {
-    const data = JSON.parse(e.postData.contents);
+    const envelope = JSON.parse(e.postData.contents);
+    
+    const authError = verifySignature(envelope);
+    if (authError) {
+      // server_time lets a browser with a wrong clock sign its retry against ours
+      return jsonResponse({
+        success: false,
+        error: 'unauthorized',
+        reason: authError,
+        rejected: PERMANENT_AUTH_ERRORS.indexOf(authError) !== -1,
+        server_time: Date.now(),
+        timestamp: new Date().toISOString()
+      });
+    }
+    const data = JSON.parse(envelope.payload);
+    
+    // Clients retry until acknowledged, so the same delivery can arrive more than once
+    const idempotencyKey = data.idempotency_key || '';
+    if (idempotencyKey && isDuplicateDelivery(idempotencyKey)) {
+      return jsonResponse({
+        success: true,
+        duplicate: true,
+        message: 'Delivery already recorded',
+        timestamp: new Date().toISOString()
+      });
+    }
     
     const spreadsheetId = '1xQD1FTEGQnIgk8ZvfWIPXQO3CsUf9uUPGn2xZ00LLc4';
-    const sheet = SpreadsheetApp.openById(spreadsheetId).getSheetByName('AnalyticsLog');
+    const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+    
+    if (data.type === 'mrd_single_submit') {
+      const result = handleSubmission(spreadsheet, data.submission || {});
+      if (!result.rejected) rememberDelivery(idempotencyKey);
+      return jsonResponse(result);
+    }
     
     const timestamp = new Date().toISOString();
-    const eventType = data.event_type || data.type || 'page_view';
-    const sessionId = data.session_id || '';
-    const page = data.page || data.url || '';
-    const userAgent = data.user_agent || '';
-    const screenSize = data.screen_size || '';
-    const referrer = data.referrer || '';
-    const eventData = JSON.stringify(data.event_data || data);
-    const notes = 'Analytics Log';
-    const unixTimestamp = Date.now().toString();
-    const timezone = 'Africa/Johannesburg';
+    if (data.type !== 'mrd_analytics_batch' || !Array.isArray(data.events)) {
+      return jsonResponse({
+        success: false,
+        error: 'Expected type "mrd_analytics_batch" with an events array',
+        timestamp: timestamp
+      });
+    }
+    if (data.events.length > MAX_EVENTS_PER_BATCH) {
+      return jsonResponse({
+        success: false,
+        error: 'Batch too large: at most ' + MAX_EVENTS_PER_BATCH + ' events per request',
+        timestamp: timestamp
+      });
+    }
     
-    const rowData = [
-      timestamp,
-      eventType,
-      sessionId,
-      page,
-      userAgent,
-      screenSize,
-      referrer,
-      eventData,
-      notes,
-      unixTimestamp,
-      timezone,
-      '',
-      '',
-      '',
-      '',
-      ''
-    ];
+    const invalidEvents = [];
+    const validEvents = [];
     
-    sheet.appendRow(rowData);
+    data.events.forEach(function(event, index) {
+      const errors = validateEvent(event);
+      if (errors.length) {
+        invalidEvents.push({
+          index: index,
+          event_type: event && typeof event.event_type === 'string' ? event.event_type : null,
+          errors: errors
+        });
+        return;
+      }
+      // Second line of defense: mrd-redaction.js is added to this Apps Script project too
+      validEvents.push(MRDRedaction.redactEvent(event));
+    });
     
-    return ContentService
-      .createTextOutput(JSON.stringify({
-        success: true,
-        message: 'Analytics data added successfully',
-        timestamp: timestamp,
-        rowAdded: sheet.getLastRow()
-      }))
-      .setMimeType(ContentService.MimeType.JSON);
+    const sheetCounts = writeEvents(spreadsheet, validEvents, new Date());
+    rememberDelivery(idempotencyKey);
+    
+    const response = {
+      success: invalidEvents.length === 0,
+      message: validEvents.length + ' of ' + data.events.length + ' analytics events added',
+      timestamp: timestamp,
+      rowsAdded: validEvents.length,
+      sheets: sheetCounts
+    };
+    if (invalidEvents.length) {
+      response.error = 'Event validation failed';
+      response.invalidEvents = invalidEvents;
+    }
+    return jsonResponse(response);
       
   } catch (error) {
-    return ContentService
-      .createTextOutput(JSON.stringify({
-        success: false,
-        error: error.toString(),
-        timestamp: new Date().toISOString()
-      }))
-      .setMimeType(ContentService.MimeType.JSON);
+    return jsonResponse({
+      success: false,
+      error: error.toString(),
+      timestamp: new Date().toISOString()
+    });
   }
 }
 
-function doGet(e) {
+function jsonResponse(body) {
   return ContentService
-    .createTextOutput(JSON.stringify({
-      message: 'MRD Analytics Webhook - CLEAN VERSION',
-      timestamp: new Date().toISOString(),
-      status: 'active'
-    }))
+    .createTextOutput(JSON.stringify(body))
     .setMimeType(ContentService.MimeType.JSON);
 }
+
+function getOrCreateSheet(spreadsheet, name) {
+  return spreadsheet.getSheetByName(name) || spreadsheet.insertSheet(name);
+}
+
+/**
+ * Re-run the browser's spam checks, then reject, quarantine or store the submission.
+ * The browser's score is only ever allowed to raise the verdict, never lower it.
+ */
+function handleSubmission(spreadsheet, submission) {
+  const timestamp = new Date().toISOString();
+  const fields = submission.data || submission;
+  const spam = submission.spam || {};
+  const signals = [];
+  
+  if (spam.honeypot_filled) signals.push('honeypot');
+  if (!(spam.elapsed_ms >= SPAM_MIN_SUBMIT_MS)) signals.push('too_fast');
+  
+  const proof = verifyProofOfWork(spam.challenge, spam.nonce, spam.difficulty);
+  if (proof !== 'valid') signals.push(proof);
+  
+  if (fields.email && countEmailSubmission(fields.email) > SPAM_EMAIL_LIMIT) signals.push('rate_limited');
+  
+  const serverScore = signals.reduce(function(total, signal) {
+    return total + (SPAM_WEIGHTS[signal] || 0);
+  }, 0);
+  const score = Math.max(serverScore, Number(spam.score) || 0);
+  
+  if (score >= SPAM_REJECT_SCORE) {
+    return {
+      success: false,
+      rejected: true,
+      error: 'Submission rejected as spam',
+      timestamp: timestamp
+    };
+  }
+  
+  const quarantined = score >= SPAM_QUARANTINE_SCORE;
+  const sheet = getOrCreateSheet(spreadsheet, quarantined ? 'SpamQuarantine' : 'FormSubmissions');
+  const cleanFields = Object.assign({}, fields);
+  // Envelope fields have their own columns (flat submissions mix them in with the form fields)
+  ['spam', 'submission_id', 'form_id', 'page_source', 'session_id', 'timestamp',
+    'visitor_id', 'session_number', 'landing_page', 'page_count', 'attribution'].forEach(function(key) {
+    delete cleanFields[key];
+  });
+  const attribution = submission.attribution || {};
+  
+  sheet.appendRow([
+    timestamp,
+    submission.submission_id || '',
+    submission.form_id || '',
+    submission.page_source || '',
+    submission.session_id || '',
+    JSON.stringify(cleanFields),
+    score,
+    signals.join(', '),
+    submission.visitor_id || '',
+    submission.session_number || '',
+    submission.landing_page || '',
+    submission.page_count || '',
+    touchValue(attribution.first_touch, 'channel'),
+    touchValue(attribution.first_touch, 'source'),
+    touchValue(attribution.first_touch, 'medium'),
+    touchValue(attribution.first_touch, 'campaign'),
+    touchValue(attribution.last_touch, 'channel'),
+    touchValue(attribution.last_touch, 'source'),
+    touchValue(attribution.last_touch, 'medium'),
+    touchValue(attribution.last_touch, 'campaign'),
+    submission.attribution ? JSON.stringify(submission.attribution).slice(0, MAX_EVENT_DATA_LENGTH) : ''
+  ]);
+  
+  if (!quarantined && REGISTRATION_FORM_IDS.indexOf(submission.form_id) !== -1 && fields.email) {
+    recordRegistration(spreadsheet, fields.email, timestamp);
+  }
+  
+  return {
+    success: true,
+    quarantined: quarantined,
+    spamScore: score,
+    message: quarantined ? 'Submission held for review' : 'Submission recorded',
+    timestamp: timestamp
+  };
+}
+
+/**
+ * One field of a first/last touch sent by the browser, as a bounded string
+ */
+function touchValue(touch, key) {
+  if (!touch || typeof touch !== 'object' || touch[key] === undefined || touch[key] === null) return '';
+  return String(touch[key]).slice(0, 100);
+}
+
+/**
+ * Returns 'valid', 'pow_missing', 'pow_invalid' or 'pow_reused'.
+ * Browsers mint their own challenges, so each one is only good for a single submission.
+ */
+function verifyProofOfWork(challenge, nonce, difficulty) {
+  if (!challenge || nonce === undefined || nonce === null) return 'pow_missing';
+  
+  const issuedAt = Number(String(challenge).split('.')[0]);
+  const age = Date.now() - issuedAt;
+  if (!issuedAt || age < -SPAM_CHALLENGE_MAX_SKEW_MS || age > SPAM_CHALLENGE_MAX_AGE_MS) return 'pow_invalid';
+  if (Number(difficulty) < SPAM_POW_DIFFICULTY) return 'pow_invalid';
+  
+  const digest = Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    challenge + ':' + nonce,
+    Utilities.Charset.UTF_8
+  );
+  
+  let zeroBits = 0;
+  for (let i = 0; i < digest.length; i++) {
+    const byte = digest[i] & 0xff;
+    if (byte !== 0) {
+      zeroBits += Math.clz32(byte) - 24;
+      break;
+    }
+    zeroBits += 8;
+  }
+  if (zeroBits < SPAM_POW_DIFFICULTY) return 'pow_invalid';
+  
+  // Only solved work is remembered, as with signature nonces
+  const cache = CacheService.getScriptCache();
+  const key = 'pow_' + String(challenge).slice(0, 200);
+  if (cache.get(key)) return 'pow_reused';
+  cache.put(key, '1', 21600);
+  return 'valid';
+}
+
+/**
+ * Count submissions for an email over the last hour, keyed by a hash of the address
+ */
+function countEmailSubmission(email) {
+  const digest = Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    String(email).trim().toLowerCase(),
+    Utilities.Charset.UTF_8
+  );
+  const key = 'email_rate_' + Utilities.base64EncodeWebSafe(digest);
+  const cache = CacheService.getScriptCache();
+  const count = Number(cache.get(key) || 0) + 1;
+  cache.put(key, String(count), 3600);
+  return count;
+}
+
+/**
+ * Returns null when the envelope is authentic and fresh, otherwise the reason it is not.
+ * The signature is HMAC-SHA256(site key, timestamp + "." + nonce + "." + payload).
+ */
+function verifySignature(envelope) {
+  const auth = envelope && envelope.auth;
+  if (!auth || typeof envelope.payload !== 'string') return 'missing_signature';
+  
+  const siteKey = PropertiesService.getScriptProperties().getProperty('MRD_SITE_KEY');
+  if (!siteKey) return 'site_key_not_configured';
+  
+  const sentAt = Number(auth.timestamp);
+  if (!sentAt || Math.abs(Date.now() - sentAt) > SIGNATURE_MAX_SKEW_MS) return 'stale_timestamp';
+  if (typeof auth.nonce !== 'string' || !/^[\w-]{8,100}$/.test(auth.nonce)) return 'invalid_nonce';
+  
+  const expected = bytesToHex(Utilities.computeHmacSha256Signature(
+    auth.timestamp + '.' + auth.nonce + '.' + envelope.payload,
+    siteKey,
+    Utilities.Charset.UTF_8
+  ));
+  if (!constantTimeEquals(expected, String(auth.signature || '').toLowerCase())) return 'bad_signature';
+  
+  // Only a correctly signed request may burn a nonce
+  const cache = CacheService.getScriptCache();
+  if (cache.get('nonce_' + auth.nonce)) return 'replayed_request';
+  cache.put('nonce_' + auth.nonce, '1', NONCE_TTL_SECONDS);
+  
+  return null;
+}
+
+function constantTimeEquals(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+function bytesToHex(bytes) {
+  return bytes.map(function(byte) {
+    return ('0' + (byte & 0xff).toString(16)).slice(-2);
+  }).join('');
+}
+
+/**
+ * Check an event against the envelope schema and its type's event_data schema.
+ * Returns a list of { field, error }; empty when the event is valid.
+ */
+function validateEvent(event) {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    return [{ field: '(event)', error: 'must be an object' }];
+  }
+  
+  const errors = validateFields(event, EVENT_ENVELOPE_SCHEMA, '');
+  const dataSchema = EVENT_DATA_SCHEMAS[event.event_type];
+  const eventData = event.event_data;
+  
+  if (dataSchema) {
+    if (!eventData || typeof eventData !== 'object') {
+      errors.push({ field: 'event_data', error: 'is required for ' + event.event_type });
+    } else {
+      errors.push.apply(errors, validateFields(eventData, dataSchema, 'event_data.'));
+    }
+  }
+  if (eventData !== undefined && JSON.stringify(eventData).length > MAX_EVENT_DATA_LENGTH) {
+    errors.push({ field: 'event_data', error: 'exceeds ' + MAX_EVENT_DATA_LENGTH + ' characters' });
+  }
+  return errors;
+}
+
+function validateFields(values, schema, prefix) {
+  const errors = [];
+  
+  Object.keys(schema).forEach(function(name) {
+    const rule = schema[name];
+    const value = values[name];
+    const field = prefix + name;
+    
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) errors.push({ field: field, error: 'is required' });
+      return;
+    }
+    
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    if (actualType !== rule.type || (rule.type === 'number' && !isFinite(value))) {
+      errors.push({ field: field, error: 'must be a ' + rule.type });
+      return;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      errors.push({ field: field, error: 'must be at most ' + rule.maxLength + ' characters' });
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      errors.push({ field: field, error: 'has an invalid format' });
+    }
+    if (rule.enum && rule.enum.indexOf(value) === -1) {
+      errors.push({ field: field, error: 'must be one of ' + rule.enum.join(', ') });
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      errors.push({ field: field, error: 'must be at least ' + rule.min });
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      errors.push({ field: field, error: 'must be at most ' + rule.max });
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Group events by destination sheet and write each group with one range
+ * write. The script lock keeps concurrent requests from computing the same
+ * "next row" and overwriting each other.
+ */
+function writeEvents(spreadsheet, events, receivedAt) {
+  const rowsBySheet = {};
+  
+  events.forEach(function(event) {
+    const route = getRouteForEvent(event.event_type);
+    const sheetName = route ? route.sheet : 'AnalyticsLog';
+    const row = route ? buildRoutedRow(route, event, receivedAt) : buildAnalyticsRow(event, receivedAt.toISOString());
+    (rowsBySheet[sheetName] = rowsBySheet[sheetName] || []).push(row);
+  });
+  
+  const sheetNames = Object.keys(rowsBySheet);
+  if (!sheetNames.length) return {};
+  
+  const lock = LockService.getScriptLock();
+  lock.waitLock(WRITE_LOCK_TIMEOUT_MS);
+  try {
+    const counts = {};
+    sheetNames.forEach(function(sheetName) {
+      const route = getRouteBySheet(sheetName);
+      const sheet = route ? getOrCreateRoutedSheet(spreadsheet, route) : getOrCreateSheet(spreadsheet, sheetName);
+      appendRows(sheet, rowsBySheet[sheetName]);
+      counts[sheetName] = rowsBySheet[sheetName].length;
+    });
+    return counts;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function appendRows(sheet, rows) {
+  const width = rows.reduce(function(max, row) { return Math.max(max, row.length); }, 0);
+  const padded = rows.map(function(row) {
+    while (row.length < width) row.push('');
+    return row;
+  });
+  sheet.getRange(sheet.getLastRow() + 1, 1, padded.length, width).setValues(padded);
+}
+
+function getVitalElement(data) {
+  const attribution = data.attribution || {};
+  return attribution.element || (attribution.sources || []).join(', ');
+}
+
+function getRouteForEvent(eventType) {
+  return SHEET_ROUTES.filter(function(route) {
+    return route.eventTypes.indexOf(eventType) !== -1;
+  })[0] || null;
+}
+
+function getRouteBySheet(sheetName) {
+  return SHEET_ROUTES.filter(function(route) {
+    return route.sheet === sheetName;
+  })[0] || null;
+}
+
+function getRouteColumns(route) {
+  return COMMON_COLUMNS.concat(route.columns);
+}
+
+function getOrCreateRoutedSheet(spreadsheet, route) {
+  const headers = getRouteColumns(route).map(function(column) { return column.header; });
+  let sheet = spreadsheet.getSheetByName(route.sheet);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(route.sheet);
+    writeHeader(sheet, headers);
+  } else if (sheet.getLastColumn() < headers.length) {
+    // Columns are only ever appended to a route, so the old header is a prefix of the new one
+    writeHeader(sheet, headers);
+  }
+  return sheet;
+}
+
+function writeHeader(sheet, headers) {
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  sheet.setFrozenRows(1);
+}
+
+function buildRoutedRow(route, event, receivedAt) {
+  const data = event.event_data || {};
+  return getRouteColumns(route).map(function(column) {
+    return toCellValue(column.value(event, data, receivedAt), column.type);
+  });
+}
+
+/**
+ * Coerce a value to its column type so Sheets stores real numbers and dates
+ */
+function toCellValue(value, type) {
+  if (value === undefined || value === null || value === '') return '';
+  
+  if (type === 'number') {
+    const number = Number(value);
+    return isFinite(number) ? number : '';
+  }
+  if (type === 'date') {
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? '' : date;
+  }
+  if (type === 'json') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Move rows older than ARCHIVE_AFTER_DAYS from every event sheet into
+ * "<sheet> Archive yyyy-MM" sheets. Rows are appended in time order, so the
+ * old ones are always a block at the top. Run daily via installArchiveTrigger().
+ */
+function archiveOldRows() {
+  const spreadsheet = SpreadsheetApp.openById('1xQD1FTEGQnIgk8ZvfWIPXQO3CsUf9uUPGn2xZ00LLc4');
+  const cutoff = new Date(Date.now() - ARCHIVE_AFTER_DAYS * 24 * 60 * 60 * 1000);
+  const sheetNames = ['AnalyticsLog'].concat(SHEET_ROUTES.map(function(route) { return route.sheet; }));
+  
+  const lock = LockService.getScriptLock();
+  lock.waitLock(WRITE_LOCK_TIMEOUT_MS * 3);
+  try {
+    const archived = {};
+    sheetNames.forEach(function(sheetName) {
+      const sheet = spreadsheet.getSheetByName(sheetName);
+      if (sheet && sheet.getLastRow() > 0) {
+        archived[sheetName] = archiveSheet(spreadsheet, sheet, cutoff);
+      }
+    });
+    console.log('Archived rows: ' + JSON.stringify(archived));
+    return archived;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function archiveSheet(spreadsheet, sheet, cutoff) {
+  const values = sheet.getDataRange().getValues();
+  // The first column is the receive time everywhere; a header row is simply not a date
+  const firstDataRow = isValidDate(values[0][0]) ? 0 : 1;
+  const header = firstDataRow ? values[0] : null;
+  
+  let end = firstDataRow;
+  while (end < values.length && isValidDate(values[end][0]) && toDate(values[end][0]) < cutoff) {
+    end++;
+  }
+  if (end === firstDataRow) return 0;
+  
+  const rowsByMonth = {};
+  values.slice(firstDataRow, end).forEach(function(row) {
+    const month = Utilities.formatDate(toDate(row[0]), 'UTC', 'yyyy-MM');
+    (rowsByMonth[month] = rowsByMonth[month] || []).push(row);
+  });
+  
+  Object.keys(rowsByMonth).forEach(function(month) {
+    const archiveName = sheet.getName() + ' Archive ' + month;
+    let archiveSheet = spreadsheet.getSheetByName(archiveName);
+    if (!archiveSheet) {
+      archiveSheet = spreadsheet.insertSheet(archiveName);
+      if (header) writeHeader(archiveSheet, header);
+    }
+    appendRows(archiveSheet, rowsByMonth[month]);
+  });
+  
+  // Copy first, delete second: a failure part-way leaves duplicates, never gaps
+  sheet.deleteRows(firstDataRow + 1, end - firstDataRow);
+  return end - firstDataRow;
+}
+
+function toDate(value) {
+  return value instanceof Date ? value : new Date(value);
+}
+
+function isValidDate(value) {
+  return value !== '' && value !== null && !isNaN(toDate(value).getTime());
+}
+
+const REPORT_TYPES = ['page_views', 'referrers', 'conversions', 'web_vitals'];
+const REPORT_GRANULARITIES = ['day', 'week', 'month'];
+const REPORT_DEFAULT_DAYS = 30;
+const REPORT_MAX_DAYS = 366;
+const REPORT_CACHE_SECONDS = 600;
+
+/**
+ * Aggregated reports for the dashboard, e.g.
+ * ?action=report&key=...&report=page_views&from=2026-09-01&to=2026-09-30&granularity=week
+ * `report` may be a comma separated list or "all". Reads archive sheets for older months too.
+ */
+function handleReport(params) {
+  const reportKey = PropertiesService.getScriptProperties().getProperty('MRD_REPORT_KEY');
+  if (!reportKey || !constantTimeEquals(reportKey, String(params.key || ''))) {
+    return { success: false, error: 'unauthorized' };
+  }
+  
+  const timezone = Session.getScriptTimeZone();
+  const granularity = params.granularity || 'day';
+  const reports = !params.report || params.report === 'all'
+    ? REPORT_TYPES
+    : String(params.report).split(',');
+  
+  const errors = [];
+  if (REPORT_GRANULARITIES.indexOf(granularity) === -1) {
+    errors.push('granularity must be one of ' + REPORT_GRANULARITIES.join(', '));
+  }
+  reports.forEach(function(report) {
+    if (REPORT_TYPES.indexOf(report) === -1) errors.push('unknown report "' + report + '"');
+  });
+  
+  const to = params.to ? parseReportDate(params.to, timezone) : new Date();
+  const from = params.from
+    ? parseReportDate(params.from, timezone)
+    : to && new Date(to.getTime() - REPORT_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+  if (!from || !to) {
+    errors.push('from and to must be dates in yyyy-MM-dd format');
+  } else if (from > to) {
+    errors.push('from must not be after to');
+  } else if (to - from > REPORT_MAX_DAYS * 24 * 60 * 60 * 1000) {
+    errors.push('date range must not exceed ' + REPORT_MAX_DAYS + ' days');
+  }
+  if (errors.length) return { success: false, error: 'Invalid report parameters', details: errors };
+  
+  // "to" is inclusive: cover that whole day
+  const end = params.to ? new Date(to.getTime() + 24 * 60 * 60 * 1000) : to;
+  const range = { from: from, end: end, granularity: granularity, timezone: timezone };
+  
+  const cacheKey = 'report_' + bytesToHex(Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    [reports.join(','), params.from || '', params.to || '', granularity, params.limit || ''].join('|'),
+    Utilities.Charset.UTF_8
+  ));
+  const cache = CacheService.getScriptCache();
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    const result = JSON.parse(cached);
+    result.cached = true;
+    return result;
+  }
+  
+  const spreadsheet = SpreadsheetApp.openById('1xQD1FTEGQnIgk8ZvfWIPXQO3CsUf9uUPGn2xZ00LLc4');
+  const builders = {
+    page_views: reportPageViews,
+    referrers: function(spreadsheet, range) { return reportReferrers(spreadsheet, range, Number(params.limit) || 10); },
+    conversions: reportConversions,
+    web_vitals: reportWebVitals
+  };
+  
+  const data = {};
+  reports.forEach(function(report) {
+    data[report] = builders[report](spreadsheet, range);
+  });
+  
+  const result = {
+    success: true,
+    from: Utilities.formatDate(from, timezone, 'yyyy-MM-dd'),
+    to: Utilities.formatDate(new Date(end.getTime() - 1), timezone, 'yyyy-MM-dd'),
+    granularity: granularity,
+    timezone: timezone,
+    generated_at: new Date().toISOString(),
+    cached: false,
+    data: data
+  };
+  
+  try {
+    cache.put(cacheKey, JSON.stringify(result), REPORT_CACHE_SECONDS);
+  } catch (error) {
+    // Larger than CacheService's 100KB limit; serve it uncached
+  }
+  return result;
+}
+
+function parseReportDate(value, timezone) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = Utilities.parseDate(value, timezone, 'yyyy-MM-dd');
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Rows of a sheet and its monthly archives whose first column falls in the range,
+ * as objects keyed by header (or by column index for sheets without one)
+ */
+function readRowsInRange(spreadsheet, sheetName, range) {
+  const sheetNames = [sheetName];
+  // Archives are named by UTC month (see archiveSheet), so step through UTC months;
+  // local months would be a month behind in time zones east of UTC
+  const month = new Date(Date.UTC(range.from.getUTCFullYear(), range.from.getUTCMonth(), 1));
+  while (month < range.end) {
+    sheetNames.push(sheetName + ' Archive ' + Utilities.formatDate(month, 'UTC', 'yyyy-MM'));
+    month.setUTCMonth(month.getUTCMonth() + 1);
+  }
+  
+  const rows = [];
+  sheetNames.forEach(function(name) {
+    const sheet = spreadsheet.getSheetByName(name);
+    if (!sheet || sheet.getLastRow() === 0) return;
+    
+    const values = sheet.getDataRange().getValues();
+    const headers = isValidDate(values[0][0]) ? null : values.shift();
+    values.forEach(function(row) {
+      if (!isValidDate(row[0])) return;
+      const receivedAt = toDate(row[0]);
+      if (receivedAt < range.from || receivedAt >= range.end) return;
+      
+      const record = { received_at: receivedAt };
+      row.forEach(function(value, index) {
+        record[headers ? headers[index] : index] = value;
+      });
+      rows.push(record);
+    });
+  });
+  return rows;
+}
+
+function getPeriod(date, range) {
+  if (range.granularity === 'month') return Utilities.formatDate(date, range.timezone, 'yyyy-MM');
+  if (range.granularity === 'week') {
+    // Periods are labelled by the Monday that starts them
+    const dayOfWeek = Number(Utilities.formatDate(date, range.timezone, 'u'));
+    return Utilities.formatDate(new Date(date.getTime() - (dayOfWeek - 1) * 24 * 60 * 60 * 1000), range.timezone, 'yyyy-MM-dd');
+  }
+  return Utilities.formatDate(date, range.timezone, 'yyyy-MM-dd');
+}
+
+/**
+ * Sampled events count 1 / sample_rate times so totals stay comparable
+ */
+function eventWeight(row) {
+  const rate = Number(row.sample_rate);
+  return rate > 0 && rate <= 1 ? 1 / rate : 1;
+}
+
+function reportPageViews(spreadsheet, range) {
+  const groups = {};
+  readRowsInRange(spreadsheet, 'PageViews', range).forEach(function(row) {
+    const period = getPeriod(row.received_at, range);
+    const key = period + '|' + row.page;
+    const group = groups[key] = groups[key] || { period: period, page: row.page, views: 0, sessions: {} };
+    group.views += eventWeight(row);
+    if (row.session_id) group.sessions[row.session_id] = true;
+  });
+  
+  return Object.keys(groups).sort().map(function(key) {
+    const group = groups[key];
+    return {
+      period: group.period,
+      page: group.page,
+      views: Math.round(group.views),
+      unique_sessions: Object.keys(group.sessions).length
+    };
+  });
+}
+
+function reportReferrers(spreadsheet, range, limit) {
+  const counts = {};
+  readRowsInRange(spreadsheet, 'PageViews', range).forEach(function(row) {
+    const match = String(row.referrer || '').match(/^https?:\/\/([^\/?#:]+)/i);
+    const source = match ? match[1].toLowerCase().replace(/^www\./, '') : '(direct)';
+    counts[source] = (counts[source] || 0) + eventWeight(row);
+  });
+  
+  return Object.keys(counts)
+    .map(function(source) { return { referrer: source, views: Math.round(counts[source]) }; })
+    .sort(function(a, b) { return b.views - a.views; })
+    .slice(0, Math.min(Math.max(limit, 1), 100));
+}
+
+/**
+ * Counted from FormSubmissions (not the sampled, consent-gated analytics events),
+ * so quarantined spam is excluded and every real submission counts
+ */
+function reportConversions(spreadsheet, range) {
+  const groups = {};
+  readRowsInRange(spreadsheet, 'FormSubmissions', range).forEach(function(row) {
+    const period = getPeriod(row.received_at, range);
+    const formId = row[2] || 'unknown_form';
+    const key = period + '|' + formId;
+    const group = groups[key] = groups[key] || { period: period, form_id: formId, conversions: 0, sessions: {} };
+    group.conversions++;
+    if (row[4]) group.sessions[row[4]] = true;
+  });
+  
+  return Object.keys(groups).sort().map(function(key) {
+    const group = groups[key];
+    return {
+      period: group.period,
+      form_id: group.form_id,
+      conversions: group.conversions,
+      unique_sessions: Object.keys(group.sessions).length
+    };
+  });
+}
+
+function reportWebVitals(spreadsheet, range) {
+  const groups = {};
+  readRowsInRange(spreadsheet, 'WebVitals', range).forEach(function(row) {
+    const value = Number(row.value);
+    if (!isFinite(value)) return;
+    
+    const period = getPeriod(row.received_at, range);
+    const key = period + '|' + row.page + '|' + row.metric;
+    const group = groups[key] = groups[key] || { period: period, page: row.page, metric: row.metric, values: [] };
+    group.values.push(value);
+  });
+  
+  return Object.keys(groups).sort().map(function(key) {
+    const group = groups[key];
+    return {
+      period: group.period,
+      page: group.page,
+      metric: group.metric,
+      p75: percentile(group.values, 75),
+      samples: group.values.length
+    };
+  });
+}
+
+/**
+ * Nearest-rank percentile, as used by CrUX and web-vitals
+ */
+function percentile(values, p) {
+  const sorted = values.slice().sort(function(a, b) { return a - b; });
+  const rank = Math.ceil(p / 100 * sorted.length);
+  return sorted[Math.max(rank - 1, 0)];
+}
+
+/**
+ * Run once from the Apps Script editor to schedule archiveOldRows() nightly
+ */
+function installArchiveTrigger() {
+  ScriptApp.getProjectTriggers().forEach(function(trigger) {
+    if (trigger.getHandlerFunction() === 'archiveOldRows') ScriptApp.deleteTrigger(trigger);
+  });
+  ScriptApp.newTrigger('archiveOldRows').timeBased().everyDays(1).atHour(3).create();
+}
+
+function buildAnalyticsRow(data, timestamp) {
+  const eventData = data.event_data || {};
+  
+  return [
+    timestamp,
+    data.event_type,
+    data.session_id || '',
+    data.page,
+    data.user_agent || '',
+    data.screen_size || '',
+    data.referrer || '',
+    JSON.stringify(eventData),
+    'Analytics Log',
+    Date.now().toString(),
+    // The visitor's own zone and offset (minutes east of UTC), not the server's
+    data.timezone || '',
+    data.sample_rate || 1,
+    data.tz_offset === undefined ? '' : data.tz_offset,
+    data.timestamp,
+    data.visitor_id || '',
+    data.session_number || '',
+    data.landing_page || '',
+    data.page_count || ''
+  ];
+}
+
+function isDuplicateDelivery(key) {
+  return CacheService.getScriptCache().get('delivery_' + key) !== null;
+}
+
+function rememberDelivery(key) {
+  if (!key) return;
+  // 6 hours is the longest CacheService will hold a value
+  CacheService.getScriptCache().put('delivery_' + key, '1', 21600);
+}
+
+/**
+ * Registrations are indexed by email hash only, so lookups never need to read addresses
+ */
+function recordRegistration(spreadsheet, email, timestamp) {
+  const emailHash = hashEmail(email);
+  if (isRegisteredHash(spreadsheet, emailHash)) return;
+  
+  getOrCreateSheet(spreadsheet, 'Registrations').appendRow([emailHash, timestamp]);
+  CacheService.getScriptCache().put('registered_' + emailHash, '1', 21600);
+}
+
+function isRegisteredHash(spreadsheet, emailHash) {
+  const cache = CacheService.getScriptCache();
+  if (cache.get('registered_' + emailHash)) return true;
+  
+  const sheet = spreadsheet.getSheetByName('Registrations');
+  if (!sheet) return false;
+  
+  const found = sheet.createTextFinder(emailHash).matchEntireCell(true).findNext() !== null;
+  if (found) cache.put('registered_' + emailHash, '1', 21600);
+  return found;
+}
+
+/**
+ * Must match hashEmail() in mrd-brain-system.js
+ */
+function hashEmail(email) {
+  return bytesToHex(Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    'mrd:' + String(email).trim().toLowerCase(),
+    Utilities.Charset.UTF_8
+  ));
+}
+
+function handleRegistrationLookup(params) {
+  const emailHash = String(params.email_hash || '').toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(emailHash)) {
+    return { success: false, error: 'email_hash must be a SHA-256 hex digest' };
+  }
+  // The browser falls back to its own records when refused
+  if (isLookupRateLimited(emailHash)) {
+    return { success: false, error: 'rate_limited' };
+  }
+  
+  const spreadsheet = SpreadsheetApp.openById('1xQD1FTEGQnIgk8ZvfWIPXQO3CsUf9uUPGn2xZ00LLc4');
+  return { success: true, registered: isRegisteredHash(spreadsheet, emailHash) };
+}
+
+/**
+ * Count a lookup against the per-address and total budgets; true once either is spent
+ */
+function isLookupRateLimited(emailHash) {
+  const cache = CacheService.getScriptCache();
+  const emailKey = 'lookup_rate_' + emailHash;
+  const emailCount = Number(cache.get(emailKey) || 0) + 1;
+  cache.put(emailKey, String(emailCount), 3600);
+  
+  // Fixed 10-minute buckets, so steady traffic cannot keep one counter alive forever
+  const totalKey = 'lookup_total_' + Math.floor(Date.now() / 600000);
+  const totalCount = Number(cache.get(totalKey) || 0) + 1;
+  cache.put(totalKey, String(totalCount), 600);
+  
+  return emailCount > LOOKUP_EMAIL_LIMIT || totalCount > LOOKUP_TOTAL_LIMIT;
+}
+
+function doGet(e) {
+  const params = (e && e.parameter) || {};
+  if (params.action === 'is_registered') {
+    return jsonResponse(handleRegistrationLookup(params));
+  }
+  if (params.action === 'report') {
+    return jsonResponse(handleReport(params));
+  }
+  
+  return jsonResponse({
+    message: 'MRD Analytics Webhook',
+    timestamp: new Date().toISOString(),
+    status: 'active',
+    actions: ['is_registered', 'report']
+  });
+}
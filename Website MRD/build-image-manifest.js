@@ -0,0 +1,75 @@
+/**
+ * MRD image manifest - lists the resized copies of local images
+ *
+ * Run from this directory after exporting resized images:
+ *   node build-image-manifest.js [imageDir] [output]
+ * (defaults: images, image-manifest.json)
+ *
+ * A copy is found by name: images/hero-640w.webp is the 640px wide copy of
+ * images/hero.jpg. Only files that exist are listed, so MRDBrainSystem never
+ * puts a srcset candidate on the page that would 404. Point
+ * config.images.manifestUrl at the output, or paste it into config.images.manifest.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const IMAGE_EXTENSIONS = ['.avif', '.webp', '.jpg', '.jpeg', '.png', '.gif'];
+const VARIANT_NAME = /^(.+)-(\d+)w$/;
+
+function listImages(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return listImages(file);
+        return IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [file] : [];
+    });
+}
+
+function buildManifest(imageDir, siteDir) {
+    const files = listImages(imageDir).map(file => path.relative(siteDir, file).split(path.sep).join('/'));
+    const originals = {};
+    const variants = {};
+
+    files.forEach(file => {
+        const extension = path.posix.extname(file);
+        const stem = file.slice(0, -extension.length);
+        const match = stem.match(VARIANT_NAME);
+        if (match) {
+            (variants[match[1]] = variants[match[1]] || []).push({ src: file, width: Number(match[2]), extension });
+        } else {
+            originals[stem] = file;
+        }
+    });
+
+    const manifest = {};
+    Object.keys(originals).sort().forEach(stem => {
+        const original = originals[stem];
+        const byWidth = {};
+        // One file per width; the original's own format wins, since the others may not be supported
+        (variants[stem] || []).forEach(variant => {
+            const current = byWidth[variant.width];
+            if (!current || variant.extension === path.posix.extname(original)) {
+                byWidth[variant.width] = variant;
+            }
+        });
+
+        const list = Object.keys(byWidth)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .map(width => ({ src: byWidth[width].src, width }));
+        if (list.length) manifest[original] = list;
+    });
+    return manifest;
+}
+
+if (require.main === module) {
+    const siteDir = process.cwd();
+    const imageDir = path.resolve(siteDir, process.argv[2] || 'images');
+    const output = path.resolve(siteDir, process.argv[3] || 'image-manifest.json');
+
+    const manifest = buildManifest(imageDir, siteDir);
+    fs.writeFileSync(output, JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`🖼️ ${Object.keys(manifest).length} images with resized copies written to ${path.relative(siteDir, output)}`);
+}
+
+module.exports = { buildManifest };
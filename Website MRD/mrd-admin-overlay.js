@@ -0,0 +1,201 @@
+/**
+ * MRD Admin Overlay - in-browser view of what MRDBrain has collected
+ *
+ * Never included by a page. MRDBrainSystem.loadAdminOverlay() injects it
+ * after ?mrd_admin=1&mrd_key=<key> matches config.admin.keyHash, and
+ * ?mrd_admin=0 turns it off again for the tab.
+ */
+
+class MRDAdminOverlay {
+    constructor(brain) {
+        this.brain = brain;
+        this.root = null;
+        this.events = [];
+        this.maxEvents = 50;
+        this.refreshTimer = null;
+        this.unsubscribe = null;
+        this.collapsed = false;
+    }
+
+    mount() {
+        if (this.root) return;
+
+        this.root = document.createElement('section');
+        this.root.className = 'mrd-admin-overlay';
+        this.root.setAttribute('aria-label', 'MRD Brain admin overlay');
+        this.root.style.cssText = `
+            position: fixed;
+            top: 1rem;
+            right: 1rem;
+            width: 380px;
+            max-width: calc(100vw - 2rem);
+            max-height: calc(100vh - 2rem);
+            overflow: auto;
+            padding: 1rem;
+            background: rgba(15, 15, 35, 0.97);
+            border: 1px solid #FFD700;
+            color: #E5E7EB;
+            font: 12px/1.4 ui-monospace, SFMono-Regular, Menlo, monospace;
+            z-index: 10002;
+        `;
+        this.root.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: 0.5rem;">
+                <strong style="color: #FFD700;">MRD Brain admin</strong>
+                <span>
+                    <button type="button" data-admin-action="toggle">–</button>
+                    <button type="button" data-admin-action="close" aria-label="Close admin overlay">×</button>
+                </span>
+            </div>
+            <div class="mrd-admin-body">
+                <h3>Session</h3>
+                <pre data-admin-panel="session"></pre>
+                <h3>Storage</h3>
+                <div data-admin-panel="storage"></div>
+                <h3>Web vitals</h3>
+                <pre data-admin-panel="vitals"></pre>
+                <h3>Outbox</h3>
+                <pre data-admin-panel="outbox"></pre>
+                <h3>Events <small>(live, newest first)</small></h3>
+                <ol data-admin-panel="events" reversed style="margin: 0; padding-left: 1.5rem;"></ol>
+                <div style="display: flex; flex-wrap: wrap; gap: 0.5rem; margin-top: 1rem;">
+                    <button type="button" data-admin-action="send">Force send</button>
+                    <button type="button" data-admin-action="export">Export JSON</button>
+                    <button type="button" data-admin-action="clear">Clear all data</button>
+                </div>
+            </div>
+        `;
+
+        this.root.querySelectorAll('h3').forEach(heading => {
+            heading.style.cssText = 'margin: 0.75rem 0 0.25rem; font-size: 12px; color: #FFD700;';
+        });
+        this.root.querySelectorAll('pre').forEach(pre => {
+            pre.style.cssText = 'margin: 0; white-space: pre-wrap; word-break: break-all;';
+        });
+        this.root.querySelectorAll('button').forEach(button => {
+            button.style.cssText = 'background: transparent; color: #FFD700; border: 1px solid #FFD700; padding: 0.25rem 0.5rem; cursor: pointer; font: inherit;';
+        });
+
+        this.root.addEventListener('click', (e) => this.handleAction(e.target.getAttribute('data-admin-action')));
+        document.body.appendChild(this.root);
+
+        this.unsubscribe = this.brain.subscribeToEvents(eventData => this.addEvent(eventData));
+        this.refresh();
+        this.refreshTimer = setInterval(() => this.refresh(), 2000);
+    }
+
+    async handleAction(action) {
+        if (!action) return;
+
+        if (action === 'toggle') {
+            this.collapsed = !this.collapsed;
+            this.root.querySelector('.mrd-admin-body').hidden = this.collapsed;
+        } else if (action === 'close') {
+            this.destroy();
+        } else if (action === 'send') {
+            this.brain.flushAnalyticsQueue();
+            // Forced, so submissions in retry backoff go now too
+            await this.brain.flushOutbox({ force: true });
+        } else if (action === 'export') {
+            this.brain.downloadFile(JSON.stringify(this.brain.exportData(), null, 2), `mrd-brain-${Date.now()}.json`, 'application/json');
+        } else if (action === 'clear') {
+            if (window.confirm('Delete all MRD Brain data stored in this browser? Unsent submissions are kept until they are delivered.')) {
+                this.brain.clearAllData();
+                this.events = [];
+            }
+        }
+        this.refresh();
+    }
+
+    addEvent(eventData) {
+        this.events.push(eventData);
+        if (this.events.length > this.maxEvents) this.events.shift();
+        this.renderEvents();
+    }
+
+    refresh() {
+        if (!this.root) return;
+
+        const status = this.brain.getStatus();
+        const session = this.brain.currentSession;
+        this.setText('session', session
+            ? `${session.id}\npage: ${status.currentPage}\nstarted: ${session.startTime}\nconsent: ${JSON.stringify(status.consent)}`
+            : `No active session\nconsent: ${JSON.stringify(status.consent)}`);
+
+        this.renderStorage(status.storage);
+        this.renderVitals();
+
+        const pending = this.brain.getOutbox().filter(record => !this.brain.isOutboxRecordSettled(record));
+        this.setText('outbox', [JSON.stringify(status.outbox)]
+            .concat(pending.map(record =>
+                `${record.submission_id} ${record.form_id} ${record.delivery.state} ×${record.delivery.attempts}` +
+                (record.delivery.last_error ? ` (${record.delivery.last_error})` : '')))
+            .join('\n'));
+
+        this.renderEvents();
+    }
+
+    renderStorage(storage) {
+        const panel = this.root.querySelector('[data-admin-panel="storage"]');
+        const percent = Math.min(100, storage.bytes / storage.limit * 100);
+        const largest = Object.keys(storage.keys)
+            .sort((a, b) => storage.keys[b] - storage.keys[a])
+            .slice(0, 5)
+            .map(key => `${key}: ${this.formatBytes(storage.keys[key])}`)
+            .join('\n');
+
+        panel.innerHTML = `
+            <div style="height: 6px; background: #374151;"><div style="height: 100%; background: ${percent > 80 ? '#EF4444' : '#FFD700'};"></div></div>
+            <pre style="margin: 0.25rem 0 0; white-space: pre-wrap;"></pre>
+        `;
+        panel.firstElementChild.firstElementChild.style.width = `${percent}%`;
+        panel.querySelector('pre').textContent =
+            `${this.formatBytes(storage.bytes)} of ${this.formatBytes(storage.limit)} (${percent.toFixed(1)}%)\n${largest}`;
+    }
+
+    renderVitals() {
+        const vitals = (this.brain.getLocalData('analytics') || {}).core_web_vitals || [];
+        const page = this.brain.getCurrentPage();
+        const latest = {};
+        vitals.filter(vital => vital.page === page).forEach(vital => {
+            latest[vital.metric] = vital.value;
+        });
+
+        this.setText('vitals', Object.keys(latest).length
+            ? Object.keys(latest).map(metric => `${metric}: ${Math.round(latest[metric] * 1000) / 1000}`).join('\n')
+            : 'None recorded for this page yet');
+    }
+
+    renderEvents() {
+        const list = this.root && this.root.querySelector('[data-admin-panel="events"]');
+        if (!list) return;
+
+        list.replaceChildren(...this.events.slice().reverse().map(eventData => {
+            const item = document.createElement('li');
+            item.textContent = `${eventData.timestamp.slice(11, 19)} ${eventData.type} ${JSON.stringify(eventData.data || {}).slice(0, 120)}`;
+            return item;
+        }));
+    }
+
+    setText(panel, text) {
+        this.root.querySelector(`[data-admin-panel="${panel}"]`).textContent = text;
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+    }
+
+    destroy() {
+        clearInterval(this.refreshTimer);
+        if (this.unsubscribe) this.unsubscribe();
+        if (this.root) this.root.remove();
+        this.root = null;
+        if (this.brain.adminOverlay === this) this.brain.adminOverlay = null;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MRDAdminOverlay;
+}
@@ -7,30 +7,324 @@
  * - SEO optimization and meta management
  * - Performance monitoring and optimization
  * - Responsive design management
- * - Analytics and user behavior tracking
+ * - Analytics and user behavior tracking (only with the visitor's consent)
  * - Complete independence from external services
+ * - Plugins (MRDBrain.use) and an event bus (MRDBrain.on/off/emit) for page scripts
  */
 
 class MRDBrainSystem {
     constructor() {
         this.config = {
             debug: true,
-            enableAnalytics: true,
-            enablePerformanceMonitoring: true,
-            enableSEOManagement: true,
             enableExternalSubmission: true, // realtime external submission enabled
             // Route submissions through same-origin PHP to avoid CORS/redirects; PHP forwards to Apps Script
             externalWebhookUrl: '/api/submit.php',
             analyticsWebhookUrl: 'https://script.google.com/macros/s/AKfycbyl76rAby3CB5QOjYV86bTrskCOhh1xphKNFbE4mm3Mva67HZnloja6ox4Uf3R-I4xKQg/exec', // analytics webhook
             emailRecipient: '', // emailing disabled
-            batchIntervalMs: 2 * 60 * 60 * 1000, // 2 hours
+            outbox: {
+                maxRecords: 100, // delivered records kept locally
+                baseRetryDelayMs: 5000, // first retry after ~5 seconds
+                maxRetryDelayMs: 30 * 60 * 1000 // backoff capped at 30 minutes
+            },
+            analyticsTransport: {
+                maxBatchSize: 20, // flush as soon as this many events are queued
+                flushIntervalMs: 10000, // otherwise flush 10 seconds after the first queued event
+                maxQueueSize: 200 // oldest events are dropped beyond this
+            },
+            // Per event type: rate is the share of events kept, maxPerPage caps them per page view
+            eventSampling: {
+                default: { rate: 1 },
+                scroll: { rate: 0.1, maxPerPage: 20 },
+                element_visible: { rate: 0.25, maxPerPage: 30 },
+                breakpoint_change: { rate: 1, maxPerPage: 5 },
+                performance_issue: { rate: 1, maxPerPage: 20 },
+                interaction: { rate: 1 }
+            },
+            consent: {
+                version: '2026-10', // bump to ask every visitor again
+                policyUrl: '', // privacy notice linked from the banner, if any
+                // Event types that fall under "performance" rather than "analytics"
+                performanceEventTypes: ['core_web_vitals', 'page_load', 'page_unload', 'performance_issue']
+            },
+            // PII redaction applied to every event before it is stored or sent (see mrd-redaction.js)
+            redaction: {
+                stripQueryParams: null, // null keeps MRDRedaction.DEFAULT_STRIP_QUERY_PARAMS
+                extraRules: [], // { name, pattern, replacement }
+                privateAttribute: 'data-mrd-private' // elements (and their children) never described in events
+            },
+            // Validation rules per form id, merged with rules read from the markup
+            // (required, type="email", type="tel", minlength, maxlength, select options, data-mrd-rules)
+            formSchemas: {
+                'contact-form': {
+                    email: { required: true, email: true, maxLength: 254 },
+                    name: { minLength: 2, maxLength: 100 },
+                    phone: { phone: 'za' },
+                    platform: { oneOf: ['', 'blockchain', 'cryptocurrency', 'ai-automation', 'trading'] },
+                    message: { maxLength: 2000 }
+                },
+                'join-form': {
+                    name: { required: true, minLength: 2, maxLength: 100 },
+                    email: { required: true, email: true, maxLength: 254 },
+                    phone: { required: true, phone: 'za' },
+                    platform: { oneOf: ['', 'make-com', 'blockchain', 'cryptocurrency', 'ai-automation', 'trading'] }
+                },
+                'signup-form': {
+                    name: { required: true, minLength: 2, maxLength: 100 },
+                    surname: { required: true, minLength: 2, maxLength: 100 },
+                    email: { required: true, email: true, maxLength: 254 }
+                }
+            },
+            // Built-in plugins, each switched on or off here. Config passed to use() overrides these.
+            plugins: {
+                analytics: { enabled: true },
+                performance: { enabled: true },
+                seo: { enabled: true },
+                responsive: { enabled: true, resizeDebounceMs: 250 }
+            },
+            // Options for forms that were not passed to registerForm(), and the base for those that were
+            formDefaults: {
+                messages: {
+                    success: 'Thank you! Your submission has been received.',
+                    error: 'Sorry, there was an error. Please try again.',
+                    invalid: 'Please check the highlighted fields and try again.'
+                },
+                busyText: 'Submitting...',
+                reset: true
+            },
+            // Checks feeding the spam score attached to every submission.
+            // The webhook repeats them and uses the same thresholds.
+            spamProtection: {
+                honeypotField: 'website',
+                minSubmitMs: 3000, // humans rarely fill a form in under 3 seconds
+                powDifficulty: 12, // leading zero bits of SHA-256(challenge:nonce)
+                rateLimits: {
+                    perSession: { max: 5, windowMs: 10 * 60 * 1000 },
+                    perEmail: { max: 3, windowMs: 60 * 60 * 1000 }
+                },
+                weights: { honeypot: 100, too_fast: 40, rate_limited: 60, pow_missing: 30 },
+                quarantineScore: 40,
+                rejectScore: 100
+            },
+            // Duplicate registration lookup, answered by the webhook's doGet
+            registration: {
+                lookupUrl: 'https://script.google.com/macros/s/AKfycbyl76rAby3CB5QOjYV86bTrskCOhh1xphKNFbE4mm3Mva67HZnloja6ox4Uf3R-I4xKQg/exec',
+                formIds: ['join-form'],
+                debounceMs: 400,
+                cacheMs: 5 * 60 * 1000
+            },
+            // Campaign attribution. Touches come from utm_* tags, ad click ids and the
+            // referrer; the first touch is kept until it expires, the last touch is
+            // replaced by every later non-direct visit.
+            attribution: {
+                firstTouchDays: 90,
+                lastTouchDays: 30,
+                // fbclid is added to every link clicked on Facebook, paid or not, so on its own it means social
+                clickIds: {
+                    gclid: { source: 'google', channel: 'paid_search' },
+                    gbraid: { source: 'google', channel: 'paid_search' },
+                    wbraid: { source: 'google', channel: 'paid_search' },
+                    msclkid: { source: 'bing', channel: 'paid_search' },
+                    fbclid: { source: 'facebook', channel: 'social' },
+                    ttclid: { source: 'tiktok', channel: 'paid_social' },
+                    li_fat_id: { source: 'linkedin', channel: 'paid_social' },
+                    twclid: { source: 'twitter', channel: 'paid_social' }
+                },
+                // Matched against referrer hosts and utm_source, as a domain or a host label
+                emailSources: ['mail.google.com', 'outlook.live.com', 'outlook.office.com', 'mail.yahoo.com', 'mailchimp', 'newsletter'],
+                socialSources: ['facebook', 'fb.com', 'instagram', 'linkedin', 'lnkd.in', 'twitter', 'x.com', 't.co',
+                    'youtube', 'youtu.be', 'tiktok', 'reddit', 'pinterest', 'whatsapp', 'wa.me', 'telegram', 't.me', 'threads.net'],
+                searchSources: ['google', 'bing', 'yahoo', 'duckduckgo', 'ecosia', 'baidu', 'yandex', 'brave', 'search.brave.com']
+            },
+            // Goals and funnels, evaluated against every tracked event. A match is any of
+            //   { page: 'courses_page' }            a page_view of that route (or list of routes)
+            //   { url: /pattern/ }                  a page_view whose URL matches
+            //   { selector: '.css' }                a click on (or inside) a matching element
+            //   { event: 'type', data: { ... } }    a tracked event whose data has those values
+            //                                       (a list means any of them, a RegExp is tested)
+            // A goal counts once per session. Funnel steps only count in order, and a
+            // funnel not finished within windowDays starts again.
+            goals: [
+                { id: 'lead', name: 'Lead captured', match: { event: 'form_submission', data: { form_id: ['contact-form', 'signup-form'] } } },
+                { id: 'registration', name: 'Registration', match: { event: 'form_submission', data: { form_id: 'join-form' } } },
+                { id: 'courses_viewed', name: 'Viewed courses', match: { page: 'courses_page' } }
+            ],
+            funnels: [
+                {
+                    id: 'course_signup',
+                    name: 'Hero to course signup',
+                    windowDays: 7,
+                    steps: [
+                        { id: 'hero', name: 'Home page hero', match: { page: 'home_page' } },
+                        { id: 'courses', name: 'Courses page', match: { page: 'courses_page' } },
+                        { id: 'signup_open', name: 'Signup modal opened', match: { event: 'modal_open', data: { modal_id: 'signup-modal' } } },
+                        { id: 'signup_submit', name: 'Signup submitted', match: { event: 'form_submission', data: { form_id: ['signup-form', 'join-form'] } } }
+                    ]
+                }
+            ],
+            // doPost rejects unsigned requests. The key ships to every browser, so it
+            // stops drive-by writes and replays rather than proving who sent a request;
+            // it must match the MRD_SITE_KEY script property of the webhook.
+            webhookSigning: {
+                siteKey: 'mrd-site-3f9c1a7e5b2d4086'
+            },
+            // Debug overlay, opened with ?mrd_admin=1&mrd_key=<key>. It is off until a
+            // key is chosen: run `await MRDBrain.sha256Hex('<key>')` in the browser
+            // console and paste the hex it prints into keyHash below. Only the hash
+            // lives here, so the key itself is never published with the site.
+            // It only ever shows this browser's own data, so the key keeps the panel
+            // away from visitors rather than guarding anything secret.
+            admin: {
+                keyHash: '',
+                scriptUrl: null // defaults to mrd-admin-overlay.js next to this file
+            },
+            // Facts about the site for the generated JSON-LD (url defaults to the current origin)
+            site: {
+                name: 'MRD AI & Blockchain Consulting',
+                url: '',
+                description: 'Leading provider of AI automation and blockchain technology consulting services',
+                logo: 'https://res.cloudinary.com/dlroxg842/image/upload/v1756040166/LOGO_MRD_okxdhc.png',
+                sameAs: [
+                    'https://www.youtube.com/@MRDAIBlockchain',
+                    'https://www.linkedin.com/company/dagada-mpho/'
+                ],
+                founder: {
+                    name: 'Mpho Dagada',
+                    jobTitle: 'Founder',
+                    image: 'https://i.imgur.com/zA9pUNt.jpg'
+                },
+                // Emitted as Course on any page with a heading of the same name
+                courses: ['The AI Profit Blueprint']
+            },
+            // Defaults for the per-page metadata in routes[].seo, which is applied
+            // over whatever the page's <head> declares
+            seo: {
+                image: 'https://res.cloudinary.com/dlroxg842/image/upload/v1756040166/LOGO_MRD_okxdhc.png',
+                twitterCard: 'summary_large_image',
+                defaultDescription: 'MRD AI & Blockchain Consulting - Master AI automation and blockchain technology with cutting-edge no-code solutions.',
+                descriptionLength: { min: 70, max: 160 }
+            },
+            // Directory the site is served from, e.g. '/mrd-site/' on a GitHub Pages
+            // project site; null means the directory this script is loaded from
+            basePath: null,
+            // Every page of the site, read by analytics, forms and SEO alike. pattern is
+            // tested against the path below basePath with ".html", a trailing "index"
+            // and slashes removed, so "/join", "/join/" and "/join.html" all match /^join$/.
+            // path is the canonical file and label the breadcrumb name.
+            routes: [
+                {
+                    page: 'home_page',
+                    pattern: /^$/,
+                    path: '',
+                    label: 'Home',
+                    group: 'main',
+                    category: 'company',
+                    seo: {
+                        title: 'MRD AI & Blockchain Consulting - Master AI Automation & Blockchain Technology',
+                        description: 'Leading provider of AI automation and blockchain technology solutions. Transform your business with no-code automation tools and expert consulting.',
+                        robots: 'index, follow'
+                    }
+                },
+                {
+                    page: 'courses_page',
+                    pattern: /^courses$/,
+                    path: 'courses.html',
+                    label: 'Courses',
+                    group: 'main',
+                    category: 'courses',
+                    seo: {
+                        title: 'The AI Profit Blueprint - Courses | MRD AI & Blockchain Consulting',
+                        description: 'The AI Profit Blueprint teaches you to build and deploy AI trading bots that analyze blockchain market data and execute trades with precision.',
+                        image: 'https://i.imgur.com/b7d58UN.jpg',
+                        robots: 'index, follow'
+                    }
+                },
+                {
+                    // learning.html is the old name, still found in bookmarks
+                    page: 'learn_page',
+                    pattern: /^learn(ing)?$/,
+                    path: 'learn.html',
+                    label: 'Learn',
+                    group: 'main',
+                    category: 'education',
+                    seo: {
+                        title: 'Learn to Automate Anything with AI | MRD AI & Blockchain Consulting',
+                        description: 'Learn to build no-code AI automations with Make.com and transform your workflow with practical lessons from MRD AI & Blockchain Consulting.',
+                        robots: 'index, follow'
+                    }
+                },
+                {
+                    page: 'contact_page',
+                    pattern: /^contact$/,
+                    path: 'contact.html',
+                    label: 'Contact',
+                    group: 'conversion',
+                    category: 'support',
+                    seo: {
+                        title: 'Contact Us | MRD AI & Blockchain Consulting',
+                        description: 'Get in touch with the MRD AI & Blockchain Consulting team in Rosebank, Johannesburg, and start a conversation about AI and blockchain.',
+                        robots: 'index, follow'
+                    }
+                },
+                {
+                    page: 'join_page',
+                    pattern: /^join$/,
+                    path: 'join.html',
+                    label: 'Join',
+                    group: 'conversion',
+                    category: 'membership',
+                    seo: {
+                        title: 'Join MRD AI & Blockchain Consulting - Master AI Automation & No-Code Solutions',
+                        description: 'Join MRD AI & Blockchain Consulting to unlock your full potential through AI automation and master no-code solutions for your workflow.',
+                        robots: 'index, follow'
+                    }
+                },
+                {
+                    page: 'webhook_test_page',
+                    pattern: /^test-webhook-direct$/,
+                    path: 'test-webhook-direct.html',
+                    group: 'internal',
+                    category: 'internal',
+                    seo: { robots: 'noindex, nofollow' }
+                }
+            ],
             localStoragePrefix: 'mrd_brain_',
-            sessionTimeout: 30 * 60 * 1000, // 30 minutes
+            sessionTimeout: 30 * 60 * 1000, // 30 minutes of inactivity; sessions also end at local midnight
             maxLocalStorageSize: 10 * 1024 * 1024, // 10MB
+            // Performance budgets; anything over one is reported as a performance_issue.
+            // The Core Web Vitals ones sit at Google's "good" boundary.
             performanceThresholds: {
                 pageLoad: 3000, // 3 seconds
-                interaction: 100, // 100ms
-                animation: 16 // 16ms (60fps)
+                interaction: 100, // 100ms; slower interactions are counted in INP attribution
+                animation: 16, // 16ms (60fps)
+                dns: 200,
+                tls: 300,
+                ttfb: 800,
+                domInteractive: 2500,
+                resourceDuration: 1000, // any single resource
+                resourceSize: 300 * 1024, // any single resource, bytes
+                pageWeight: 2 * 1024 * 1024, // all resources loaded by the load event, bytes
+                LCP: 2500,
+                INP: 200,
+                CLS: 0.1,
+                FCP: 1800
+            },
+            // Hosts grouped in the page_load resource summary
+            resourceGroups: {
+                tailwind_cdn: ['cdn.tailwindcss.com'],
+                cloudinary: ['res.cloudinary.com'],
+                youtube: ['youtube.com', 'youtube-nocookie.com', 'ytimg.com', 'googlevideo.com'],
+                google_fonts: ['fonts.googleapis.com', 'fonts.gstatic.com']
+            },
+            // Responsive images. Cloudinary and Google-hosted images are resized on the fly
+            // to these widths; local images only get the variants listed in the manifest
+            // written by build-image-manifest.js (paths relative to the base path), e.g.
+            // { 'images/hero.jpg': [{ src: 'images/hero-640w.webp', width: 640 }] }
+            images: {
+                widths: [320, 640, 960, 1280, 1920],
+                manifest: null,
+                manifestUrl: null, // e.g. 'image-manifest.json', fetched when no manifest is inlined
+                // Always loaded eagerly with high priority, wherever the layout puts them
+                prioritySelectors: ['.site-logo', '[data-priority="high"]']
             }
         };
         
@@ -46,6 +340,47 @@ class MRDBrainSystem {
         this.performanceObserver = null;
         this.intersectionObserver = null;
         this.resizeObserver = null;
+        this.outboxTimer = null;
+        this.analyticsQueue = [];
+        this.analyticsFlushTimer = null;
+        this.analyticsFailures = 0;
+        this.eventCounts = {};
+        this.consent = null;
+        this.consentBanner = null;
+        this.analyticsStarted = false;
+        this.analyticsTransportReady = false;
+        this.performanceStarted = false;
+        this.vitalsObservers = [];
+        this.redactionOptions = null;
+        this.pageStartedAt = Date.now();
+        this.paintTimings = {};
+        this.vitals = {};
+        this.layoutShifts = { window: null };
+        this.interactions = [];
+        this.interactionCount = 0;
+        this.vitalsFinalized = false;
+        this.vitalsFinalizeBound = false;
+        this.reportedIssues = new Set();
+        this.formTimings = {};
+        this.formActivity = {};
+        this.formRegistry = new Map();
+        this.spamChallenge = null;
+        this.registrationCache = {};
+        this.registrationLookup = null;
+        this.clockOffsetMs = 0;
+        this.outboxFlushing = false;
+        this.eventHandlers = {};
+        this.plugins = new Map();
+        this.sessionTimer = null;
+        this.sessionActivityBound = false;
+        this.adminOverlay = null;
+        this.currentTouch = null;
+        this.imageManifest = null;
+        this.initialized = false;
+        
+        // Captured now: document.currentScript is only set while this file first runs
+        this.scriptSrc = document.currentScript ? document.currentScript.src : '';
+        this.basePath = null;
         
         this.init();
     }
@@ -54,15 +389,26 @@ class MRDBrainSystem {
      * Initialize the MRD Brain System
      */
     init() {
+        if (this.initialized) return;
+        this.initialized = true;
+        
         try {
-            this.setupEventListeners();
-            this.initializeAnalytics();
-            this.initializePerformanceMonitoring();
-            this.initializeSEOManagement();
-            this.initializeResponsiveDesign();
+            // Pending submissions from earlier visits are retried before anything else
             this.loadLocalData();
-            this.startSessionTracking();
-            this.startBatchScheduler();
+            this.startOutbox();
+            
+            // Before analytics, so the admin key never reaches a page_view
+            this.initializeAdminOverlay();
+            
+            // Nothing below may collect data until the visitor has consented
+            this.initializeConsent();
+            
+            // Ahead of validation, whose capture listener swallows invalid submits
+            this.initializeFormAnalytics();
+            this.initializeFormValidation();
+            this.initializeSpamProtection();
+            this.setupEventListeners();
+            this.getBuiltInPlugins().forEach(plugin => this.use(plugin));
             
             if (this.config.debug) {
                 console.log('🚀 MRD Brain System initialized successfully');
@@ -74,694 +420,3808 @@ class MRDBrainSystem {
     }
 
     /**
-     * Setup all event listeners
+     * Add a plugin: { name, defaults, init(brain, config), destroy(brain, config) }.
+     * Its config is plugin.defaults, then config.plugins[name], then the config
+     * passed here; { enabled: false } registers the plugin without starting it.
+     * A plugin with the same name is removed first.
+     *
+     *   MRDBrain.use({ name: 'chat', init: (brain, config) => brain.on('form_submission', ...) });
      */
-    setupEventListeners() {
-        // Form submission handling
-        document.addEventListener('submit', (e) => this.handleFormSubmission(e));
-        
-        // Performance monitoring
-        window.addEventListener('load', () => this.trackPageLoad());
-        window.addEventListener('beforeunload', () => this.trackPageUnload());
-        
-        // User interaction tracking
-        document.addEventListener('click', (e) => this.trackInteraction('click', e.target));
-        document.addEventListener('scroll', this.debounce(() => this.trackScroll(), 100));
+    use(plugin, config = {}) {
+        if (!plugin || !plugin.name || typeof plugin.init !== 'function') {
+            console.warn('⚠️ A plugin needs a name and an init function:', plugin);
+            return this;
+        }
+        if (this.plugins.has(plugin.name)) this.removePlugin(plugin.name);
         
-        // Responsive design management
-        window.addEventListener('resize', this.debounce(() => this.handleResize(), 250));
+        const entry = {
+            plugin,
+            config: {
+                enabled: true,
+                ...(plugin.defaults || {}),
+                ...(this.config.plugins[plugin.name] || {}),
+                ...config
+            },
+            active: false
+        };
+        this.plugins.set(plugin.name, entry);
+        if (entry.config.enabled === false) return this;
         
-        // SEO and accessibility improvements
-        document.addEventListener('DOMContentLoaded', () => this.enhanceAccessibility());
+        // Active before init, so events the plugin tracks while starting are kept
+        entry.active = true;
+        try {
+            plugin.init(this, entry.config);
+            if (this.config.debug) console.log(`🧩 Plugin started: ${plugin.name}`);
+        } catch (error) {
+            entry.active = false;
+            console.error(`❌ Plugin ${plugin.name} failed to start:`, error);
+        }
+        return this;
     }
 
     /**
-     * Handle form submissions completely locally
+     * Stop a plugin (its destroy hook runs if it was started) and forget it.
+     * The plugin still counts as active during destroy, so its final events are kept.
      */
-    async handleFormSubmission(event) {
-        event.preventDefault();
-        
-        const form = event.target;
-        const formData = new FormData(form);
-        const formId = form.id || 'unknown_form';
-        
-        // Collect form data
-        const submissionData = {
-            timestamp: new Date().toISOString(),
-            page_source: this.getCurrentPage(),
-            form_id: formId,
-            session_id: this.getCurrentSessionId(),
-            data: {}
-        };
+    removePlugin(name) {
+        const entry = this.plugins.get(name);
+        if (!entry) return false;
         
-        // Process form fields
-        for (let [key, value] of formData.entries()) {
-            if (value && value.trim()) {
-                submissionData.data[key] = value.trim();
+        if (entry.active && typeof entry.plugin.destroy === 'function') {
+            try {
+                entry.plugin.destroy(this, entry.config);
+            } catch (error) {
+                console.error(`❌ Plugin ${name} failed to stop:`, error);
             }
         }
-        
-        // Store locally
-        this.saveFormSubmission(submissionData);
-        
-        // Track analytics
-        this.trackEvent('form_submission', {
-            form_id: formId,
-            page: this.getCurrentPage(),
-            fields_count: Object.keys(submissionData.data).length
+        entry.active = false;
+        this.plugins.delete(name);
+        return true;
+    }
+
+    getPlugin(name) {
+        const entry = this.plugins.get(name);
+        return entry ? entry.plugin : null;
+    }
+
+    isPluginActive(name) {
+        const entry = this.plugins.get(name);
+        return !!(entry && entry.active);
+    }
+
+    getPluginStatus() {
+        const status = {};
+        this.plugins.forEach((entry, name) => {
+            status[name] = entry.active;
         });
-        
-        // Show success feedback
-        this.showFormFeedback(form, 'success', 'Thank you! Your submission has been received.');
-        
-        // Reset form
-        form.reset();
-        
-        // Realtime external send (non-blocking)
-        this.sendSingleIfConfigured(submissionData);
+        return status;
     }
 
     /**
-     * Save form submission locally
+     * addEventListener that returns the matching removeEventListener, for plugin teardown
      */
-    saveFormSubmission(data) {
-        try {
-            const submissions = this.getLocalData('form_submissions') || [];
-            submissions.push(data);
-            
-            // Keep only last 100 submissions to prevent storage bloat
-            if (submissions.length > 100) {
-                submissions.splice(0, submissions.length - 100);
-            }
-            
-            this.saveLocalData('form_submissions', submissions);
-            
-            if (this.config.debug) {
-                console.log('📝 Form submission saved locally:', data);
-            }
-            // Realtime external send (non-blocking)
-            this.sendSingleIfConfigured(data);
-        } catch (error) {
-            console.error('❌ Failed to save form submission:', error);
-        }
+    addListener(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        return () => target.removeEventListener(type, handler, options);
     }
 
     /**
-     * Batch scheduler - sends accumulated submissions every N ms
+     * The brain's own sections, started in this order by init()
      */
-    startBatchScheduler() {
-        try {
-            // Attempt immediately on load if due
-            this.trySendBatchIfDue();
-            // Schedule interval
-            setInterval(() => this.trySendBatchIfDue(), this.config.batchIntervalMs / 4);
-        } catch (err) {
-            if (this.config.debug) console.warn('⚠️ Batch scheduler error', err);
-        }
+    getBuiltInPlugins() {
+        return [
+            this.createAnalyticsPlugin(),
+            this.createPerformancePlugin(),
+            this.createSEOPlugin(),
+            this.createResponsivePlugin()
+        ];
     }
 
-    markPendingForBatch() {
-        this.saveLocalData('pending_batch', { updated_at: Date.now() });
+    /**
+     * Sessions, page views, attribution and interaction tracking. Without it
+     * trackEvent keeps nothing, so it also carries the performance events.
+     */
+    createAnalyticsPlugin() {
+        let teardown = [];
+        return {
+            name: 'analytics',
+            init: (brain) => {
+                const start = () => {
+                    // The session first, so the page_view and any goal it completes belong to it
+                    brain.startSessionTracking();
+                    brain.initializeAnalytics();
+                };
+                teardown = [
+                    brain.on('consent_change', start),
+                    brain.addListener(document, 'click', (e) => brain.trackInteraction('click', e.target)),
+                    brain.addListener(document, 'click', (e) => brain.evaluateConversions('click', {}, e.target)),
+                    brain.addListener(document, 'scroll', brain.debounce(() => brain.trackScroll(), 100)),
+                    brain.addListener(window, 'hashchange', () => brain.trackSectionView())
+                ];
+                start();
+            },
+            destroy: (brain) => {
+                teardown.forEach(remove => remove());
+                teardown = [];
+                // session_end first, so the final flush carries it
+                brain.endSession();
+                brain.flushAnalyticsQueue(true);
+                brain.analyticsStarted = false;
+            }
+        };
     }
 
-    trySendBatchIfDue() {
-        if (!this.config.enableExternalSubmission || !this.config.externalWebhookUrl) return;
-        const lastSentAt = this.getLocalData('last_batch_sent_at') || 0;
-        const now = Date.now();
-        const due = now - lastSentAt >= this.config.batchIntervalMs;
-        if (!due) return;
-        this.sendBatchSubmissions().catch(err => {
-            if (this.config.debug) console.warn('⚠️ Batch send failed, will retry later', err);
-        });
+    createPerformancePlugin() {
+        let teardown = [];
+        return {
+            name: 'performance',
+            init: (brain) => {
+                teardown = [
+                    brain.on('consent_change', () => brain.initializePerformanceMonitoring()),
+                    // pagehide rather than beforeunload, which blocks the back/forward cache
+                    brain.addListener(window, 'load', () => brain.trackPageLoad()),
+                    brain.addListener(window, 'pagehide', () => brain.trackPageUnload())
+                ];
+                brain.initializePerformanceMonitoring();
+            },
+            destroy: (brain) => {
+                teardown.forEach(remove => remove());
+                teardown = [];
+                if (brain.performanceObserver) brain.performanceObserver.disconnect();
+                brain.vitalsObservers.forEach(observer => observer.disconnect());
+                brain.vitalsObservers = [];
+                brain.performanceStarted = false;
+            }
+        };
     }
 
     /**
-     * Send batched submissions to external webhook (Make/Apps Script)
+     * Meta tags, structured data and internal links. They stay in the page when the plugin is removed.
      */
-    async sendBatchSubmissions() {
-        const submissions = this.getLocalData('form_submissions') || [];
-        if (!submissions.length) return;
-
-        const payload = {
-            type: 'mrd_batch_submit',
-            site: window.location.origin || 'local',
-            sent_at: new Date().toISOString(),
-            submissions
+    createSEOPlugin() {
+        return {
+            name: 'seo',
+            init: (brain) => brain.initializeSEOManagement()
         };
+    }
 
-        try {
-            const res = await fetch(this.config.externalWebhookUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(payload),
-                mode: 'cors'
-            });
-
-            if (!res.ok) throw new Error(`HTTP ${res.status}`);
-
-            // On success, mark last sent time and optionally clear local submissions
-            this.saveLocalData('last_batch_sent_at', Date.now());
-            // Keep data but mark snapshot to avoid re-sending same entries; simplest is to clear after send
-            this.saveLocalData('form_submissions', []);
-
-            this.trackEvent('batch_sent', { count: submissions.length });
-            if (this.config.debug) console.log(`📤 Sent batch of ${submissions.length} submissions`);
-        } catch (error) {
-            console.error('❌ Failed to send batch submissions:', error);
-            this.trackEvent('batch_send_failed', { error: String(error) });
-        }
+    createResponsivePlugin() {
+        let teardown = [];
+        return {
+            name: 'responsive',
+            defaults: { resizeDebounceMs: 250 },
+            init: (brain, config) => {
+                teardown = [
+                    brain.addListener(window, 'resize', brain.debounce(() => brain.handleResize(), config.resizeDebounceMs))
+                ];
+                brain.initializeResponsiveDesign();
+            },
+            destroy: (brain) => {
+                teardown.forEach(remove => remove());
+                teardown = [];
+                if (brain.intersectionObserver) brain.intersectionObserver.disconnect();
+                if (brain.resizeObserver) brain.resizeObserver.disconnect();
+            }
+        };
     }
 
     /**
-     * Legacy single submission sender (kept for completeness)
+     * Setup the listeners every page needs. Plugins add their own.
      */
-    async sendToExternalService(submissionData) {
-        if (!this.config.externalWebhookUrl) return;
-        try {
-            await fetch(this.config.externalWebhookUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    type: 'mrd_single_submit',
-                    submission: submissionData
-                }),
-                mode: 'cors'
-            });
-        } catch (error) {
-            if (this.config.debug) console.warn('⚠️ sendToExternalService failed', error);
-        }
-    }
-
-    async sendSingleIfConfigured(submissionData) {
-        if (!this.config.enableExternalSubmission || !this.config.externalWebhookUrl) return;
-        try {
-            await fetch(this.config.externalWebhookUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ type: 'mrd_single_submit', submission: submissionData }),
-                mode: 'cors'
-            });
-            this.trackEvent('single_submit_sent', { form_id: submissionData.form_id });
-        } catch (error) {
-            this.trackEvent('single_submit_failed', { error: String(error) });
-            if (this.config.debug) console.warn('⚠️ Realtime submission failed', error);
-        }
+    setupEventListeners() {
+        // Form submission handling
+        document.addEventListener('submit', (e) => this.handleFormSubmission(e));
+        
+        // Accessibility improvements
+        this.enhanceAccessibility();
     }
 
     /**
-     * Show form feedback to user
+     * Consent management (POPIA/GDPR)
      */
-    showFormFeedback(form, type, message) {
-        const feedbackDiv = document.getElementById('form-feedback') || this.createFeedbackElement(form);
+    initializeConsent() {
+        this.consent = this.loadConsent();
         
-        feedbackDiv.className = `form-feedback ${type}`;
-        feedbackDiv.textContent = message;
-        feedbackDiv.classList.remove('hidden');
+        document.addEventListener('click', (e) => {
+            if (e.target.closest && e.target.closest('[data-mrd-consent-settings]')) {
+                e.preventDefault();
+                this.showConsentBanner(true);
+            }
+        });
         
-        // Auto-hide after 5 seconds
-        setTimeout(() => {
-            feedbackDiv.classList.add('hidden');
-        }, 5000);
+        if (!this.consent && !this.hasPrivacySignal()) {
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', () => this.showConsentBanner());
+            } else {
+                this.showConsentBanner();
+            }
+        }
     }
 
     /**
-     * Create feedback element if it doesn't exist
+     * Read the stored choice; choices made under an older policy version are ignored
      */
-    createFeedbackElement(form) {
-        const feedbackDiv = document.createElement('div');
-        feedbackDiv.id = 'form-feedback';
-        feedbackDiv.className = 'form-feedback hidden';
-        form.appendChild(feedbackDiv);
-        return feedbackDiv;
+    loadConsent() {
+        const stored = this.getLocalData('consent');
+        if (!stored || stored.version !== this.config.consent.version) return null;
+        return stored;
     }
 
     /**
-     * Initialize analytics system
+     * Do Not Track / Global Privacy Control count as a refusal of everything optional
      */
-    initializeAnalytics() {
-        if (!this.config.enableAnalytics) return;
-        
-        this.trackPageView();
-        this.setupAnalyticsTracking();
-        
-        if (this.config.debug) {
-            console.log('📊 Analytics system initialized');
-        }
+    hasPrivacySignal() {
+        return navigator.globalPrivacyControl === true ||
+            navigator.doNotTrack === '1' ||
+            window.doNotTrack === '1';
+    }
+
+    hasConsent(category) {
+        if (category === 'necessary') return true;
+        if (this.hasPrivacySignal()) return false;
+        return !!(this.consent && this.consent.categories[category]);
+    }
+
+    getEventConsentCategory(eventType) {
+        return this.config.consent.performanceEventTypes.includes(eventType) ? 'performance' : 'analytics';
     }
 
     /**
-     * Track page view
+     * Store the visitor's choice and start or stop collection accordingly
      */
-    trackPageView() {
-        const pageData = {
-            url: window.location.href,
-            title: document.title,
+    setConsent(categories, source = 'api') {
+        const previous = {
+            analytics: this.hasConsent('analytics'),
+            performance: this.hasConsent('performance')
+        };
+        
+        this.consent = {
+            version: this.config.consent.version,
             timestamp: new Date().toISOString(),
-            session_id: this.getCurrentSessionId(),
-            referrer: document.referrer,
-            user_agent: navigator.userAgent,
-            viewport: {
-                width: window.innerWidth,
-                height: window.innerHeight
+            source: source,
+            categories: {
+                necessary: true,
+                analytics: !!categories.analytics,
+                performance: !!categories.performance
             }
         };
+        this.saveLocalData('consent', this.consent);
         
-        this.saveAnalyticsData('page_views', pageData);
-        this.trackEvent('page_view', pageData);
+        // Purging is done here, not by the plugins, so it happens even when a plugin is off
+        if (previous.analytics && !this.hasConsent('analytics')) this.stopAnalytics();
+        if (previous.performance && !this.hasConsent('performance')) this.stopPerformanceMonitoring();
+        
+        // The analytics and performance plugins start collecting on this
+        this.emit('consent_change', { consent: this.consent, previous });
+        
+        if (this.config.debug) console.log('🔒 Consent updated:', this.consent);
+        return this.consent;
+    }
+
+    revokeConsent() {
+        return this.setConsent({ analytics: false, performance: false }, 'revoked');
     }
 
     /**
-     * Track user interactions
+     * Stop analytics collection and purge everything collected or queued so far
      */
-    trackInteraction(type, element) {
-        const interactionData = {
-            type: type,
-            element: this.getElementInfo(element),
-            timestamp: new Date().toISOString(),
-            session_id: this.getCurrentSessionId(),
-            page: this.getCurrentPage()
-        };
+    stopAnalytics() {
+        this.analyticsStarted = false;
+        this.currentSession = null;
+        clearTimeout(this.sessionTimer);
+        // Performance events are still allowed if that consent stands
+        this.analyticsQueue = this.analyticsQueue.filter(event =>
+            this.getEventConsentCategory(event.type) === 'performance' && this.hasConsent('performance')
+        );
+        if (!this.analyticsQueue.length) {
+            clearTimeout(this.analyticsFlushTimer);
+            this.analyticsFlushTimer = null;
+            this.analyticsFailures = 0;
+        }
         
-        this.trackEvent('interaction', interactionData);
+        this.currentTouch = null;
+        
+        this.formActivity = {};
+        
+        ['analytics', 'current_session', 'completed_sessions', 'visitor', 'attribution', 'goals', 'funnels', 'funnel_stats', 'form_attempts']
+            .forEach(key => this.removeLocalData(key));
+        this.data.analytics = {};
+    }
+
+    stopPerformanceMonitoring() {
+        this.performanceStarted = false;
+        if (this.performanceObserver) this.performanceObserver.disconnect();
+        this.vitalsObservers.forEach(observer => observer.disconnect());
+        this.vitalsObservers = [];
+        this.vitals = {};
+        
+        this.analyticsQueue = this.analyticsQueue.filter(event =>
+            this.getEventConsentCategory(event.type) !== 'performance'
+        );
+        const analytics = this.getLocalData('analytics');
+        if (analytics) {
+            delete analytics.core_web_vitals;
+            delete analytics.performance_issues;
+            if (analytics.events) {
+                analytics.events = analytics.events.filter(event =>
+                    this.getEventConsentCategory(event.type) !== 'performance'
+                );
+            }
+            this.saveLocalData('analytics', analytics);
+        }
     }
 
     /**
-     * Track scroll behavior
+     * Consent banner. With showDetails the category toggles are opened straight away.
      */
-    trackScroll() {
-        const scrollData = {
-            scrollY: window.scrollY,
-            scrollX: window.scrollX,
-            maxScrollY: document.documentElement.scrollHeight - window.innerHeight,
-            scrollPercentage: Math.round((window.scrollY / (document.documentElement.scrollHeight - window.innerHeight)) * 100)
-        };
+    showConsentBanner(showDetails = false) {
+        if (!document.body) return;
+        this.hideConsentBanner();
         
-        this.trackEvent('scroll', scrollData);
+        const current = this.consent ? this.consent.categories : { analytics: false, performance: false };
+        const policyLink = this.config.consent.policyUrl
+            ? ` <a href="${this.config.consent.policyUrl}" style="color: #FFD700; text-decoration: underline;">Learn more</a>`
+            : '';
+        const banner = document.createElement('div');
+        banner.className = 'mrd-consent-banner';
+        banner.setAttribute('role', 'dialog');
+        banner.setAttribute('aria-live', 'polite');
+        banner.setAttribute('aria-labelledby', 'mrd-consent-title');
+        banner.style.cssText = `
+            position: fixed;
+            left: 1rem;
+            right: 1rem;
+            bottom: 1rem;
+            max-width: 640px;
+            margin: 0 auto;
+            padding: 1.25rem;
+            background: rgba(15, 15, 35, 0.95);
+            border: 1px solid #FFD700;
+            color: #E5E7EB;
+            font-size: 0.9rem;
+            line-height: 1.5;
+            z-index: 10001;
+        `;
+        banner.innerHTML = `
+            <p id="mrd-consent-title" style="font-weight: 700; color: #FFD700; margin: 0 0 0.5rem;">Your privacy</p>
+            <p style="margin: 0 0 1rem;">We use analytics and performance measurements to improve this site. They only run if you allow them.${policyLink}</p>
+            <div class="mrd-consent-details" ${showDetails ? '' : 'hidden'} style="margin-bottom: 1rem;">
+                <label style="display: block;"><input type="checkbox" checked disabled> Necessary (always on)</label>
+                <label style="display: block;"><input type="checkbox" name="analytics" ${current.analytics ? 'checked' : ''}> Analytics</label>
+                <label style="display: block;"><input type="checkbox" name="performance" ${current.performance ? 'checked' : ''}> Performance</label>
+            </div>
+            <div style="display: flex; flex-wrap: wrap; gap: 0.5rem;">
+                <button type="button" data-consent-action="accept" class="gold-button">Accept all</button>
+                <button type="button" data-consent-action="reject">Reject optional</button>
+                <button type="button" data-consent-action="${showDetails ? 'save' : 'customize'}">${showDetails ? 'Save choices' : 'Customize'}</button>
+            </div>
+        `;
+        
+        banner.querySelectorAll('button:not(.gold-button)').forEach(button => {
+            button.style.cssText = 'background: transparent; color: #FFD700; border: 1px solid #FFD700; padding: 0.5rem 1rem; cursor: pointer;';
+        });
+        
+        banner.addEventListener('click', (e) => {
+            const action = e.target.getAttribute('data-consent-action');
+            if (!action) return;
+            
+            if (action === 'customize') {
+                banner.querySelector('.mrd-consent-details').hidden = false;
+                e.target.setAttribute('data-consent-action', 'save');
+                e.target.textContent = 'Save choices';
+                return;
+            }
+            
+            if (action === 'accept') {
+                this.setConsent({ analytics: true, performance: true }, 'banner');
+            } else if (action === 'reject') {
+                this.setConsent({ analytics: false, performance: false }, 'banner');
+            } else if (action === 'save') {
+                this.setConsent({
+                    analytics: banner.querySelector('input[name="analytics"]').checked,
+                    performance: banner.querySelector('input[name="performance"]').checked
+                }, 'banner');
+            }
+            this.hideConsentBanner();
+        });
+        
+        document.body.appendChild(banner);
+        this.consentBanner = banner;
+    }
+
+    hideConsentBanner() {
+        if (this.consentBanner) {
+            this.consentBanner.remove();
+            this.consentBanner = null;
+        }
     }
 
     /**
-     * Initialize performance monitoring
+     * Register a form. Its submissions go through the same validation, spam
+     * checks and outbox as every other form; the options change the rest:
+     *   schema       - field rules, merged over config.formSchemas[form.id]
+     *   endpoint     - deliver to this URL instead of config.externalWebhookUrl
+     *   beforeSubmit - (fields, form), may be async; return false to cancel. May change fields.
+     *   onSuccess    - (record, form), may be async; runs once the record is queued
+     *   onError      - (error, form) when the submission fails or is not accepted
+     *   feedback     - (form, type, message) replaces the default message renderer
+     *   messages     - { success, error, invalid }
+     *   busyText     - submit button text while the submission is handled
+     *   reset        - clear the form after a successful submission
      */
-    initializePerformanceMonitoring() {
-        if (!this.config.enablePerformanceMonitoring) return;
+    registerForm(target, options = {}) {
+        const form = typeof target === 'string' ? document.getElementById(target) : target;
+        if (!form || form.tagName !== 'FORM' || !form.id) {
+            console.warn('⚠️ registerForm needs a <form> element with an id:', target);
+            return null;
+        }
         
-        this.setupPerformanceObserver();
-        this.monitorCoreWebVitals();
+        const defaults = this.config.formDefaults;
+        const registration = {
+            ...defaults,
+            ...options,
+            messages: { ...defaults.messages, ...(options.messages || {}) }
+        };
+        this.formRegistry.set(form, registration);
         
-        if (this.config.debug) {
-            console.log('⚡ Performance monitoring initialized');
+        if (options.schema) {
+            this.config.formSchemas[form.id] = { ...(this.config.formSchemas[form.id] || {}), ...options.schema };
+        }
+        // Forms registered after DOMContentLoaded missed the validation and spam set-up
+        if (this.isValidatedForm(form)) {
+            form.noValidate = true;
+            this.injectHoneypot(form);
+            if (!this.formTimings[form.id]) this.formTimings[form.id] = Date.now();
         }
+        return registration;
     }
 
     /**
-     * Setup performance observer
+     * Registered options for a form, or the defaults for any other form
      */
-    setupPerformanceObserver() {
-        if ('PerformanceObserver' in window) {
-            try {
-                this.performanceObserver = new PerformanceObserver((list) => {
-                    for (const entry of list.getEntries()) {
-                        this.analyzePerformanceEntry(entry);
-                    }
-                });
-                
-                this.performanceObserver.observe({ entryTypes: ['navigation', 'resource', 'paint'] });
-            } catch (error) {
-                console.warn('⚠️ PerformanceObserver setup failed:', error);
-            }
-        }
+    getFormOptions(form) {
+        return this.formRegistry.get(form) || this.config.formDefaults;
     }
 
     /**
-     * Monitor Core Web Vitals
+     * Handle form submissions completely locally. This is the only submit
+     * handler that saves: page scripts pass their hooks to registerForm().
      */
-    monitorCoreWebVitals() {
-        // LCP (Largest Contentful Paint)
-        if ('PerformanceObserver' in window) {
-            try {
-                const lcpObserver = new PerformanceObserver((list) => {
-                    const entries = list.getEntries();
-                    const lastEntry = entries[entries.length - 1];
-                    this.trackCoreWebVital('LCP', lastEntry.startTime);
-                });
-                lcpObserver.observe({ entryTypes: ['largest-contentful-paint'] });
-            } catch (error) {
-                console.warn('⚠️ LCP monitoring failed:', error);
+    async handleFormSubmission(event) {
+        event.preventDefault();
+        
+        const form = event.target;
+        // Enter pressed again while an earlier submit is still being handled
+        if (form.getAttribute('aria-busy') === 'true') return;
+        
+        const options = this.getFormOptions(form);
+        const formId = form.id || 'unknown_form';
+        const fields = {};
+        for (let [key, value] of new FormData(form).entries()) {
+            if (typeof value === 'string' && value.trim()) {
+                fields[key] = value.trim();
             }
         }
         
-        // FID (First Input Delay)
-        if ('PerformanceObserver' in window) {
-            try {
-                const fidObserver = new PerformanceObserver((list) => {
-                    const entries = list.getEntries();
-                    entries.forEach(entry => {
-                        this.trackCoreWebVital('FID', entry.processingStart - entry.startTime);
-                    });
-                });
-                fidObserver.observe({ entryTypes: ['first-input'] });
-            } catch (error) {
-                console.warn('⚠️ FID monitoring failed:', error);
+        const submitButton = form.querySelector('[type="submit"]');
+        const buttonText = submitButton ? submitButton.textContent : '';
+        form.setAttribute('aria-busy', 'true');
+        if (submitButton) {
+            submitButton.disabled = true;
+            if (options.busyText) submitButton.textContent = options.busyText;
+        }
+        
+        try {
+            if (options.beforeSubmit && await options.beforeSubmit(fields, form) === false) return;
+        
+            // Store locally and queue for delivery
+            const record = this.saveFormSubmission({
+                form_id: formId,
+                page_source: this.getCurrentPage(),
+                data: fields
+            }, { endpoint: options.endpoint, form });
+            if (!record) {
+                if (options.onError) options.onError(new Error('Submission was not accepted'), form);
+                this.showFormFeedback(form, 'error', options.messages.invalid);
+                return;
+            }
+        
+            // Track analytics
+            const attribution = record.attribution || {};
+            const activity = (this.formActivity[formId] || {}).summary || {};
+            this.trackEvent('form_submission', {
+                form_id: formId,
+                page: record.page_source,
+                fields_count: Object.keys(record.data).length,
+                first_touch: attribution.first_touch,
+                last_touch: attribution.last_touch,
+                time_spent_ms: activity.time_spent_ms,
+                corrections: activity.corrections,
+                error_count: activity.error_count,
+                fields: activity.fields
+            });
+        
+            if (options.onSuccess) await options.onSuccess(record, form);
+            this.showFormFeedback(form, 'success', options.messages.success);
+            if (options.reset) form.reset();
+        } catch (error) {
+            console.error('❌ Form submission failed:', error);
+            if (options.onError) options.onError(error, form);
+            this.showFormFeedback(form, 'error', options.messages.error);
+        } finally {
+            form.removeAttribute('aria-busy');
+            if (submitButton) {
+                submitButton.disabled = false;
+                submitButton.textContent = buttonText;
             }
         }
+    }
+
+    /**
+     * Save form submission locally and queue it for delivery. Accepts the
+     * canonical { form_id, page_source, data: {...} } shape or a flat one.
+     */
+    saveFormSubmission(submission, options = {}) {
+        try {
+            const data = this.normalizeSubmission(submission);
         
-        // CLS (Cumulative Layout Shift)
-        if ('PerformanceObserver' in window) {
-            try {
-                let clsValue = 0;
-                const clsObserver = new PerformanceObserver((list) => {
-                    for (const entry of list.getEntries()) {
-                        if (!entry.hadRecentInput) {
-                            clsValue += entry.value;
-                        }
-                    }
-                    this.trackCoreWebVital('CLS', clsValue);
+            // Page scripts call this directly, so the schema is enforced here as well
+            const errors = this.validateSubmissionData(data.form_id, data.data);
+            if (Object.keys(errors).length) {
+                console.warn('⚠️ Form submission rejected by validation:', errors);
+                this.trackEvent('form_validation_failed', { form_id: data.form_id, fields: Object.keys(errors) });
+                return null;
+            }
+        
+            const spam = this.assessSpam(data);
+            if (spam.score >= this.config.spamProtection.rejectScore) {
+                // Bots get no hint; the submission is simply never queued
+                this.trackEvent('spam_blocked', { form_id: data.form_id, signals: spam.signals });
+                return null;
+            }
+            this.recordSubmissionForRateLimit(data.data.email);
+        
+            const attribution = this.getAttribution();
+            this.completeFormActivity(data.form_id);
+        
+            const record = this.createOutboxRecord({
+                ...this.getSessionContext(),
+                ...(attribution ? { attribution } : {}),
+                ...data,
+                spam
+            }, options.endpoint);
+            const outbox = this.getOutbox();
+            outbox.push(record);
+            this.saveOutbox(outbox);
+            
+            // The solved challenge went out with this record
+            if (spam.challenge) {
+                this.spamChallenge = null;
+                this.solveSpamChallenge().catch(error => {
+                    if (this.config.debug) console.warn('⚠️ Spam challenge could not be solved', error);
                 });
-                clsObserver.observe({ entryTypes: ['layout-shift'] });
-            } catch (error) {
-                console.warn('⚠️ CLS monitoring failed:', error);
             }
+        
+            if (this.config.registration.formIds.includes(data.form_id)) {
+                this.rememberRegistration(data.data.email);
+            }
+            this.emit('form_submission', { record, form: options.form || null });
+        
+            if (this.config.debug) {
+                console.log('📝 Form submission saved locally:', record);
+            }
+        
+            this.flushOutbox();
+            return record;
+        } catch (error) {
+            console.error('❌ Failed to save form submission:', error);
+            return null;
         }
     }
 
     /**
-     * Track Core Web Vitals
+     * The canonical submission record keeps the envelope fields below at the
+     * top level and every form field under data. Flat payloads (and records
+     * saved before there was a single format) are split the same way.
      */
-    trackCoreWebVital(metric, value) {
-        const vitalData = {
-            metric: metric,
-            value: value,
-            timestamp: new Date().toISOString(),
-            page: this.getCurrentPage(),
-            session_id: this.getCurrentSessionId()
-        };
+    normalizeSubmission(submission) {
+        const envelope = ['submission_id', 'form_id', 'page_source', 'timestamp', 'session_id', 'visitor_id',
+            'session_number', 'landing_page', 'page_count', 'attribution', 'spam', 'delivery'];
+        const nested = this.isNestedSubmission(submission);
+        const record = { data: {} };
         
-        this.saveAnalyticsData('core_web_vitals', vitalData);
+        Object.keys(submission).forEach(key => {
+            if (envelope.includes(key)) {
+                record[key] = submission[key];
+            } else if (!(key === 'data' && nested)) {
+                record.data[key] = submission[key];
+            }
+        });
+        if (nested) Object.assign(record.data, submission.data);
         
-        // Alert if performance is poor
-        if (metric === 'LCP' && value > 4000) {
-            this.alertPerformanceIssue('LCP', value);
-        } else if (metric === 'FID' && value > 300) {
-            this.alertPerformanceIssue('FID', value);
-        } else if (metric === 'CLS' && value > 0.25) {
-            this.alertPerformanceIssue('CLS', value);
+        // A page_source field from the markup belongs to the envelope, not the form fields
+        if (record.data.page_source !== undefined) {
+            if (!record.page_source) record.page_source = record.data.page_source;
+            delete record.data.page_source;
         }
+        
+        record.form_id = record.form_id || 'unknown_form';
+        record.page_source = record.page_source || this.getCurrentPage();
+        record.timestamp = record.timestamp || new Date().toISOString();
+        return record;
+    }
+
+    isNestedSubmission(submission) {
+        return !!submission.data && typeof submission.data === 'object' && !Array.isArray(submission.data);
     }
 
     /**
-     * Initialize SEO management
+     * Wrap a submission in an outbox record with a stable id and delivery state.
+     * endpoint, when given, replaces config.externalWebhookUrl for this record.
      */
-    initializeSEOManagement() {
-        if (!this.config.enableSEOManagement) return;
+    createOutboxRecord(data, endpoint = null) {
+        const submissionId = data.submission_id || this.generateSubmissionId();
+        return {
+            ...data,
+            submission_id: submissionId,
+            delivery: {
+                state: 'pending',
+                attempts: 0,
+                created_at: Date.now(),
+                last_attempt_at: null,
+                next_attempt_at: Date.now(),
+                acknowledged_at: null,
+                last_error: null,
+                endpoint: endpoint || null
+            }
+        };
+    }
+
+    generateSubmissionId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return 'sub_' + window.crypto.randomUUID();
+        }
+        return 'sub_' + Date.now() + '_' + Math.random().toString(36).substr(2, 12);
+    }
+
+    getOutbox() {
+        return this.getLocalData('form_submissions') || [];
+    }
+
+    /**
+     * Persist the outbox, dropping the oldest delivered records first.
+     * Undelivered records are never dropped.
+     */
+    saveOutbox(outbox) {
+        const limit = this.config.outbox.maxRecords;
+        let overflow = outbox.length - limit;
+        const trimmed = overflow > 0
+            ? outbox.filter(record => {
+                if (overflow > 0 && this.isOutboxRecordSettled(record)) {
+                    overflow--;
+                    return false;
+                }
+                return true;
+            })
+            : outbox;
         
-        this.optimizeMetaTags();
-        this.setupStructuredData();
-        this.enhanceInternalLinking();
+        this.saveLocalData('form_submissions', trimmed);
+        this.data.forms.submissions = trimmed;
+    }
+
+    /**
+     * Load persisted state and bring older submission records into the
+     * canonical outbox format
+     */
+    loadLocalData() {
+        this.data.analytics = this.getLocalData('analytics') || {};
         
-        if (this.config.debug) {
-            console.log('🔍 SEO management initialized');
+        const outbox = this.getOutbox();
+        let migrated = false;
+        outbox.forEach((record, index) => {
+            if (!record.delivery || !this.isNestedSubmission(record) || record.data.page_source !== undefined) {
+                const normalized = this.normalizeSubmission(record);
+                outbox[index] = normalized.delivery ? normalized : this.createOutboxRecord(normalized);
+                migrated = true;
+            }
+        });
+        
+        const legacy = this.takeLegacySubmissions();
+        if (legacy.length) {
+            outbox.push(...legacy);
+            migrated = true;
         }
+        if (migrated) this.saveOutbox(outbox);
+        this.data.forms.submissions = outbox;
+        
+        // Superseded by the outbox
+        this.removeLocalData('pending_batch');
+        this.removeLocalData('last_batch_sent_at');
     }
 
     /**
-     * Optimize meta tags
+     * Submissions that page scripts kept under their own key before
+     * registerForm(), oldest first. They were never sent anywhere, so they are
+     * queued now; without spam proof the webhook holds them for review.
      */
-    optimizeMetaTags() {
-        // Ensure proper meta description
-        if (!document.querySelector('meta[name="description"]')) {
-            const meta = document.createElement('meta');
-            meta.name = 'description';
-            meta.content = 'MRD AI & Blockchain Consulting - Master AI automation and blockchain technology with cutting-edge no-code solutions.';
-            document.head.appendChild(meta);
+    takeLegacySubmissions() {
+        let legacy;
+        try {
+            legacy = JSON.parse(localStorage.getItem('mrdFormSubmissions') || '[]');
+            localStorage.removeItem('mrdFormSubmissions');
+        } catch (error) {
+            console.warn('⚠️ Failed to read legacy form submissions:', error);
+            return [];
         }
+        if (!Array.isArray(legacy)) return [];
         
-        // Ensure proper viewport meta tag
-        if (!document.querySelector('meta[name="viewport"]')) {
-            const meta = document.createElement('meta');
-            meta.name = 'viewport';
-            meta.content = 'width=device-width, initial-scale=1.0';
-            document.head.appendChild(meta);
-        }
+        // The page scripts added new records at the front
+        return legacy.reverse()
+            .filter(item => item && typeof item === 'object')
+            .map(item => {
+                const { id, ...submission } = item;
+                return this.createOutboxRecord(this.normalizeSubmission(submission));
+            });
+    }
+
+    /**
+     * Outbox scheduler - retries undelivered submissions on load, when the
+     * browser comes back online and whenever the next backoff expires
+     */
+    startOutbox() {
+        window.addEventListener('online', () => this.flushOutbox());
+        this.flushOutbox();
+    }
+
+    scheduleOutboxFlush() {
+        clearTimeout(this.outboxTimer);
         
-        // Add Open Graph tags
-        this.addOpenGraphTags();
+        const due = this.getOutbox()
+            .filter(record => !this.isOutboxRecordSettled(record) && this.getSubmissionEndpoint(record))
+            .map(record => record.delivery.next_attempt_at);
+        if (!due.length) return;
+        
+        const delay = Math.max(Math.min(...due) - Date.now(), 0);
+        this.outboxTimer = setTimeout(() => this.flushOutbox(), delay);
     }
 
     /**
-     * Add Open Graph tags for social media
+     * Deliver every due outbox record, one request per submission.
+     * { force: true } also sends records still waiting out their retry backoff.
      */
-    addOpenGraphTags() {
-        const ogTags = [
-            { property: 'og:title', content: document.title },
-            { property: 'og:description', content: 'MRD AI & Blockchain Consulting - Master AI automation and blockchain technology.' },
-            { property: 'og:type', content: 'website' },
-            { property: 'og:url', content: window.location.href },
-            { property: 'og:site_name', content: 'MRD AI & Blockchain Consulting' }
-        ];
+    async flushOutbox(options = {}) {
+        if (!this.config.enableExternalSubmission) return;
+        if (this.outboxFlushing) return;
+        this.outboxFlushing = true;
         
-        ogTags.forEach(tag => {
-            if (!document.querySelector(`meta[property="${tag.property}"]`)) {
-                const meta = document.createElement('meta');
-                meta.setAttribute('property', tag.property);
-                meta.content = tag.content;
-                document.head.appendChild(meta);
+        let sentCount = 0;
+        try {
+            const now = Date.now();
+            const due = this.getOutbox().filter(record =>
+                !this.isOutboxRecordSettled(record) && (options.force || record.delivery.next_attempt_at <= now) &&
+                this.getSubmissionEndpoint(record)
+            );
+            
+            for (const record of due) {
+                if (await this.deliverSubmission(record)) sentCount++;
             }
-        });
+            
+            if (sentCount) {
+                this.trackEvent('batch_sent', { count: sentCount });
+                this.emit('batch_sent', { kind: 'submissions', count: sentCount });
+                if (this.config.debug) console.log(`📤 Delivered ${sentCount} submissions`);
+            }
+        } finally {
+            this.outboxFlushing = false;
+            this.scheduleOutboxFlush();
+        }
+        return sentCount;
     }
 
     /**
-     * Initialize responsive design management
+     * Send a single outbox record. The submission id doubles as the
+     * idempotency key so the server can drop repeated deliveries.
      */
-    initializeResponsiveDesign() {
-        this.setupIntersectionObserver();
-        this.setupResizeObserver();
-        this.optimizeImages();
+    async deliverSubmission(record) {
+        const { delivery, ...submission } = record;
+        let error = null;
+        let rejected = false;
         
-        if (this.config.debug) {
-            console.log('📱 Responsive design management initialized');
+        try {
+            const res = await fetch(this.getSubmissionEndpoint(record), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Idempotency-Key': record.submission_id
+                },
+                body: this.signWebhookPayload({
+                    type: 'mrd_single_submit',
+                    idempotency_key: record.submission_id,
+                    submission
+                }),
+                mode: 'cors'
+            });
+            
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            
+            const body = await res.json().catch(() => ({}));
+            if (body && body.success === false) {
+                this.adoptServerClock(body);
+                // Spam and malformed-request rejections are final; anything else is retried
+                rejected = body.rejected === true;
+                throw new Error(body.error || 'Submission rejected');
+            }
+        } catch (err) {
+            error = err;
+        }
+        
+        this.updateOutboxRecord(record.submission_id, current => {
+            current.attempts += 1;
+            current.last_attempt_at = Date.now();
+            if (rejected) {
+                current.state = 'rejected';
+                current.last_error = String(error);
+            } else if (error) {
+                current.state = 'failed';
+                current.last_error = String(error);
+                current.next_attempt_at = Date.now() + this.getRetryDelay(current.attempts);
+            } else {
+                current.state = 'sent';
+                current.acknowledged_at = Date.now();
+                current.last_error = null;
+            }
+        });
+        
+        if (rejected) {
+            this.trackEvent('submission_rejected', { submission_id: record.submission_id, form_id: record.form_id });
+            return false;
+        }
+        if (error) {
+            this.trackEvent('submission_failed', { submission_id: record.submission_id, error: String(error) });
+            this.emit('submission_failed', { record, error });
+            if (this.config.debug) console.warn('⚠️ Submission delivery failed, will retry', error);
+            return false;
         }
+        
+        this.trackEvent('submission_sent', { submission_id: record.submission_id, form_id: record.form_id });
+        this.emit('submission_sent', { record });
+        return true;
     }
 
     /**
-     * Setup intersection observer for animations
+     * Where a record goes: its form's registered endpoint, else the webhook
      */
-    setupIntersectionObserver() {
-        if ('IntersectionObserver' in window) {
-            this.intersectionObserver = new IntersectionObserver((entries) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        entry.target.classList.add('animate');
-                        this.trackEvent('element_visible', {
-                            element: entry.target.tagName,
-                            class: entry.target.className
-                        });
-                    }
-                });
-            }, {
-                threshold: 0.1,
-                rootMargin: '0px 0px -50px 0px'
+    getSubmissionEndpoint(record) {
+        return record.delivery.endpoint || this.config.externalWebhookUrl;
+    }
+
+    /**
+     * Re-read the outbox before writing so records added in the meantime
+     * (or by another tab) are not lost
+     */
+    updateOutboxRecord(submissionId, update) {
+        const outbox = this.getOutbox();
+        const record = outbox.find(item => item.submission_id === submissionId);
+        if (!record) return;
+        
+        update(record.delivery);
+        this.saveOutbox(outbox);
+    }
+
+    /**
+     * Exponential backoff with jitter, capped at maxRetryDelayMs
+     */
+    getRetryDelay(attempts) {
+        const { baseRetryDelayMs, maxRetryDelayMs } = this.config.outbox;
+        const delay = Math.min(baseRetryDelayMs * Math.pow(2, attempts - 1), maxRetryDelayMs);
+        return Math.round(delay * (0.75 + Math.random() * 0.5));
+    }
+
+    /**
+     * Sent and spam-rejected records are never retried
+     */
+    isOutboxRecordSettled(record) {
+        return record.delivery.state === 'sent' || record.delivery.state === 'rejected';
+    }
+
+    getOutboxStats() {
+        const stats = { pending: 0, sent: 0, failed: 0, rejected: 0 };
+        this.getOutbox().forEach(record => {
+            stats[record.delivery.state] = (stats[record.delivery.state] || 0) + 1;
+        });
+        return stats;
+    }
+
+    /**
+     * Legacy single submission sender (kept for completeness)
+     */
+    async sendToExternalService(submissionData) {
+        if (!this.config.externalWebhookUrl) return;
+        try {
+            await fetch(this.config.externalWebhookUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    type: 'mrd_single_submit',
+                    submission: submissionData
+                }),
+                mode: 'cors'
             });
+        } catch (error) {
+            if (this.config.debug) console.warn('⚠️ sendToExternalService failed', error);
+        }
+    }
+
+    /**
+     * Field-level form analytics: focus time, hesitation before typing,
+     * corrections, validation errors and where people give up. Field values
+     * are never read, only which field an event happened in.
+     */
+    initializeFormAnalytics() {
+        document.addEventListener('focusin', (e) => {
+            const field = this.getFormActivityField(e.target);
+            if (!field) return;
             
-            // Observe all animated elements
-            document.querySelectorAll('.fade-in, .slide-in-left, .slide-in-right, .scale-in').forEach(el => {
-                this.intersectionObserver.observe(el);
-            });
+            field.stats.focus_count += 1;
+            field.stats.focused_at = Date.now();
+            if (!field.activity.opened_at) field.activity.opened_at = field.stats.focused_at;
+            field.activity.last_field = field.name;
+        }, true);
+        
+        document.addEventListener('focusout', (e) => {
+            const field = this.getFormActivityField(e.target);
+            if (!field || !field.stats.focused_at) return;
+            
+            field.stats.time_ms += Date.now() - field.stats.focused_at;
+            field.stats.focused_at = null;
+        }, true);
+        
+        document.addEventListener('input', (e) => {
+            const field = this.getFormActivityField(e.target, true);
+            if (!field) return;
+            
+            const stats = field.stats;
+            if (stats.hesitation_ms === null && stats.focused_at) stats.hesitation_ms = Date.now() - stats.focused_at;
+            
+            // One correction per run of deletions, not per deleted character
+            const deleting = /^delete/.test(e.inputType || '');
+            if (deleting && !stats.deleting) stats.corrections += 1;
+            stats.deleting = deleting;
+            field.activity.last_field = field.name;
+        }, true);
+        
+        document.addEventListener('change', (e) => {
+            const field = this.getFormActivityField(e.target, true);
+            if (!field || !['select-one', 'select-multiple', 'radio', 'checkbox'].includes(e.target.type)) return;
+            
+            // Changing a choice that was already made counts as a correction
+            if (field.stats.changes > 0) field.stats.corrections += 1;
+            field.stats.changes += 1;
+            field.activity.last_field = field.name;
+        }, true);
+        
+        document.addEventListener('submit', (e) => {
+            const activity = this.formActivity[e.target.id];
+            if (activity) activity.submit_attempts += 1;
+        }, true);
+        
+        // Reported as soon as the page is hidden, while its flush can still be relied on;
+        // a visitor who comes back to the form takes it back with form_resumed
+        this.onPageHide(() => this.reportAbandonedForms());
+    }
+
+    /**
+     * Run handler when the page is hidden (tab switch, app switch, navigation) and
+     * on pagehide, for browsers that skip visibilitychange on unload. Captured on
+     * window, so whatever it tracks is queued before the analytics flush sends it.
+     */
+    onPageHide(handler) {
+        window.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') handler();
+        }, true);
+        window.addEventListener('pagehide', handler, true);
+    }
+
+    /**
+     * The activity record and per-field stats for a form control, or null for
+     * controls that aren't analysed (hidden, buttons, the honeypot, unnamed).
+     * `starting` begins a new attempt if there is none, or the last one was submitted.
+     */
+    getFormActivityField(element, starting = false) {
+        if (!this.hasConsent('analytics') || !element || !element.form || !element.form.id) return null;
+        
+        const name = element.name || element.id;
+        if (!name || ['hidden', 'submit', 'button', 'reset'].includes(element.type) ||
+            name === this.config.spamProtection.honeypotField || name === 'page_source') return null;
+        
+        const formId = element.form.id;
+        let activity = this.formActivity[formId];
+        if (!activity || (starting && activity.submitted)) {
+            activity = this.formActivity[formId] = {
+                id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+                opened_at: null, // first focus; started_at is the first input, which makes it an attempt
+                started_at: null,
+                submitted: false,
+                summary: null,
+                abandon_reported: false,
+                submit_attempts: 0,
+                last_field: null,
+                fields: {}
+            };
         }
+        if (starting && !activity.started_at) {
+            activity.started_at = Date.now();
+            this.saveFormAttempt(formId, activity, 'in_progress');
+        }
+        if (starting && activity.abandon_reported) this.resumeFormActivity(formId, activity);
+        
+        const stats = activity.fields[name] = activity.fields[name] || {
+            focus_count: 0,
+            time_ms: 0,
+            hesitation_ms: null,
+            corrections: 0,
+            errors: 0,
+            changes: 0,
+            focused_at: null,
+            deleting: false
+        };
+        return { activity, name, stats };
+    }
+
+    recordFieldError(element) {
+        const field = this.getFormActivityField(element);
+        if (field) field.stats.errors += 1;
     }
 
     /**
-     * Setup resize observer for responsive behavior
+     * Per-field summary for events: no values, no in-progress bookkeeping
      */
-    setupResizeObserver() {
-        if ('ResizeObserver' in window) {
-            this.resizeObserver = new ResizeObserver((entries) => {
-                entries.forEach(entry => {
-                    this.handleElementResize(entry);
-                });
-            });
+    summarizeFormActivity(activity) {
+        const now = Date.now();
+        const fields = {};
+        let corrections = 0;
+        let errors = 0;
+        
+        Object.keys(activity.fields).forEach(name => {
+            const stats = activity.fields[name];
+            fields[name] = {
+                focus_count: stats.focus_count,
+                time_ms: stats.time_ms + (stats.focused_at ? now - stats.focused_at : 0),
+                hesitation_ms: stats.hesitation_ms,
+                corrections: stats.corrections,
+                errors: stats.errors
+            };
+            corrections += stats.corrections;
+            errors += stats.errors;
+        });
+        
+        return {
+            time_spent_ms: activity.started_at ? now - (activity.opened_at || activity.started_at) : 0,
+            fields_touched: Object.keys(fields).length,
+            corrections,
+            error_count: errors,
+            submit_attempts: activity.submit_attempts,
+            last_field: activity.last_field,
+            fields
+        };
+    }
+
+    /**
+     * Called once a submission is accepted; the summary is kept for the form_submission event
+     */
+    completeFormActivity(formId) {
+        const activity = this.formActivity[formId];
+        if (!activity || !activity.started_at || activity.submitted) return null;
+        
+        if (activity.abandon_reported) this.resumeFormActivity(formId, activity);
+        activity.submitted = true;
+        activity.summary = this.summarizeFormActivity(activity);
+        // Replaces the 'abandoned' outcome recorded when the page was hidden
+        this.saveFormAttempt(formId, activity, 'submitted', activity.summary);
+        return activity.summary;
+    }
+
+    reportAbandonedForms() {
+        Object.keys(this.formActivity).forEach(formId => {
+            const activity = this.formActivity[formId];
+            if (!activity.started_at || activity.submitted || activity.abandon_reported) return;
             
-            // Observe main content areas
-            const mainContent = document.querySelector('.main-content, .cover-glass-container');
-            if (mainContent) {
-                this.resizeObserver.observe(mainContent);
+            activity.abandon_reported = true;
+            const summary = this.summarizeFormActivity(activity);
+            this.saveFormAttempt(formId, activity, 'abandoned', summary);
+            this.trackEvent('form_abandoned', { form_id: formId, attempt_id: activity.id, ...summary });
+        });
+    }
+
+    /**
+     * The visitor came back to a form reported as abandoned. form_resumed cancels
+     * that form_abandoned (same attempt_id); leaving again reports it anew.
+     */
+    resumeFormActivity(formId, activity) {
+        activity.abandon_reported = false;
+        this.saveFormAttempt(formId, activity, 'in_progress');
+        this.trackEvent('form_resumed', { form_id: formId, attempt_id: activity.id });
+    }
+
+    /**
+     * Keep the outcome of each attempt (last 100 per form) for getFormReport()
+     */
+    saveFormAttempt(formId, activity, outcome, summary = null) {
+        const attempts = this.getLocalData('form_attempts') || {};
+        const list = (attempts[formId] || []).filter(attempt => attempt.id !== activity.id);
+        list.push({ id: activity.id, started_at: activity.started_at, outcome, summary });
+        attempts[formId] = list.slice(-100);
+        this.saveLocalData('form_attempts', attempts);
+    }
+
+    /**
+     * Per-form conversion and field friction for this browser,
+     * e.g. MRDBrain.getFormReport('join-form'). Without an id, every form seen.
+     */
+    getFormReport(formId = null) {
+        const allAttempts = this.getLocalData('form_attempts') || {};
+        if (!formId) return Object.keys(allAttempts).map(id => this.getFormReport(id));
+        
+        const attempts = allAttempts[formId];
+        if (!attempts) return null;
+        
+        const submitted = attempts.filter(attempt => attempt.outcome === 'submitted');
+        const abandoned = attempts.filter(attempt => attempt.outcome === 'abandoned');
+        const fields = {};
+        attempts.forEach(attempt => {
+            if (!attempt.summary) return;
+            
+            Object.keys(attempt.summary.fields).forEach(name => {
+                const stats = attempt.summary.fields[name];
+                const total = fields[name] = fields[name] || { focus_count: 0, time_ms: 0, corrections: 0, errors: 0, abandoned_here: 0 };
+                total.focus_count += stats.focus_count;
+                total.time_ms += stats.time_ms;
+                total.corrections += stats.corrections;
+                total.errors += stats.errors;
+            });
+            if (attempt.outcome === 'abandoned' && fields[attempt.summary.last_field]) {
+                fields[attempt.summary.last_field].abandoned_here += 1;
             }
+        });
+        
+        const rate = (part, whole) => whole ? Math.round(part / whole * 1000) / 1000 : 0;
+        return {
+            form_id: formId,
+            starts: attempts.length,
+            submissions: submitted.length,
+            abandons: abandoned.length,
+            completion_rate: rate(submitted.length, attempts.length),
+            abandon_rate: rate(abandoned.length, attempts.length),
+            avg_completion_ms: submitted.length
+                ? Math.round(submitted.reduce((total, attempt) => total + attempt.summary.time_spent_ms, 0) / submitted.length)
+                : null,
+            fields: Object.keys(fields).map(name => ({
+                name,
+                focus_count: fields[name].focus_count,
+                avg_time_ms: fields[name].focus_count ? Math.round(fields[name].time_ms / fields[name].focus_count) : 0,
+                corrections: fields[name].corrections,
+                errors: fields[name].errors,
+                abandoned_here: fields[name].abandoned_here
+            }))
+        };
+    }
+
+    /**
+     * Form validation - runs in the capture phase so an invalid form is
+     * stopped before any page script or handleFormSubmission sees it
+     */
+    initializeFormValidation() {
+        document.addEventListener('submit', (e) => {
+            const form = e.target;
+            if (!this.isValidatedForm(form)) return;
+            
+            const result = this.validateForm(form);
+            if (!result.valid) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                
+                const firstInvalid = form.querySelector('[aria-invalid="true"]');
+                if (firstInvalid) firstInvalid.focus();
+                this.trackEvent('form_validation_failed', { form_id: form.id, fields: Object.keys(result.errors) });
+                return;
+            }
+            
+            const emailField = form.elements.namedItem('email');
+            if (this.isRateLimited(emailField ? emailField.value : '')) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                this.showFormFeedback(form, 'error', 'You have sent several submissions already. Please wait a few minutes and try again.');
+                this.trackEvent('form_rate_limited', { form_id: form.id });
+            }
+        }, true);
+        
+        document.addEventListener('focusout', (e) => {
+            const field = e.target;
+            if (field.form && this.isValidatedForm(field.form) && field.name && (field.value || field.getAttribute('aria-invalid'))) {
+                this.validateField(field);
+            }
+        });
+        
+        document.addEventListener('input', (e) => {
+            const field = e.target;
+            if (field.form && field.getAttribute('aria-invalid') === 'true') {
+                this.validateField(field);
+            }
+        });
+        
+        const prepareForms = () => {
+            document.querySelectorAll('form').forEach(form => {
+                if (this.isValidatedForm(form)) form.noValidate = true;
+            });
+            
+            // The route registry, not the markup, decides which page a submission came from
+            document.querySelectorAll('input[type="hidden"][name="page_source"]').forEach(input => {
+                input.value = this.getCurrentPage();
+            });
+        };
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', prepareForms);
+        } else {
+            prepareForms();
+        }
+    }
+
+    isValidatedForm(form) {
+        return !!form && form.tagName === 'FORM' &&
+            (!!this.config.formSchemas[form.id] || form.hasAttribute('data-mrd-validate'));
+    }
+
+    /**
+     * Merge rules from the markup with the schema for the field's form
+     */
+    getFieldRules(field) {
+        const rules = {};
+        
+        if (field.required) rules.required = true;
+        if (field.type === 'email') rules.email = true;
+        if (field.type === 'tel') rules.phone = 'za';
+        if (field.minLength > 0) rules.minLength = field.minLength;
+        if (field.maxLength > 0) rules.maxLength = field.maxLength;
+        if (field.tagName === 'SELECT') {
+            rules.oneOf = Array.from(field.options).map(option => option.value);
+        }
+        
+        // data-mrd-rules="required|email|phone:za|minLength:2|maxLength:100"
+        (field.getAttribute('data-mrd-rules') || '').split('|').filter(Boolean).forEach(rule => {
+            const [name, param] = rule.split(':');
+            rules[name] = param === undefined ? true : (isNaN(param) ? param : Number(param));
+        });
+        
+        const schema = field.form ? this.config.formSchemas[field.form.id] : null;
+        return { ...rules, ...((schema && schema[field.name]) || {}) };
+    }
+
+    /**
+     * Check a value against a set of rules. Returns the first error message or null.
+     */
+    checkValue(value, rules) {
+        const trimmed = String(value == null ? '' : value).trim();
+        
+        if (!trimmed) {
+            return rules.required ? 'This field is required.' : null;
+        }
+        if (rules.email && !/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(trimmed)) {
+            return 'Please enter a valid email address.';
+        }
+        if (rules.phone === 'za' && !this.isValidSouthAfricanPhone(trimmed)) {
+            return 'Please enter a valid South African number, e.g. 082 123 4567 or +27 82 123 4567.';
+        }
+        if (rules.minLength && trimmed.length < rules.minLength) {
+            return `Please enter at least ${rules.minLength} characters.`;
+        }
+        if (rules.maxLength && trimmed.length > rules.maxLength) {
+            return `Please use no more than ${rules.maxLength} characters.`;
+        }
+        if (rules.oneOf && !rules.oneOf.includes(trimmed)) {
+            return 'Please choose one of the listed options.';
+        }
+        return null;
+    }
+
+    /**
+     * +27 / 0027 followed by 9 digits, or a local 0xx number with 10 digits
+     */
+    isValidSouthAfricanPhone(value) {
+        return /^(?:\+27|0027|0)[1-8]\d{8}$/.test(value.replace(/[\s().-]/g, ''));
+    }
+
+    validateField(field) {
+        const error = this.checkValue(field.value, this.getFieldRules(field));
+        if (error) {
+            this.showFieldError(field, error);
+        } else {
+            this.clearFieldError(field);
+        }
+        return error;
+    }
+
+    validateForm(form) {
+        const errors = {};
+        Array.from(form.elements).forEach(field => {
+            if (!field.name || field.disabled || ['hidden', 'submit', 'button'].includes(field.type)) return;
+            
+            const error = this.validateField(field);
+            if (error && !errors[field.name]) errors[field.name] = error;
+        });
+        return { valid: Object.keys(errors).length === 0, errors };
+    }
+
+    /**
+     * Schema-only check for data that never came from a form element
+     */
+    validateSubmissionData(formId, fields) {
+        const schema = this.config.formSchemas[formId];
+        const errors = {};
+        if (!schema) return errors;
+        
+        Object.keys(schema).forEach(name => {
+            const error = this.checkValue(fields[name], schema[name]);
+            if (error) errors[name] = error;
+        });
+        return errors;
+    }
+
+    showFieldError(field, message) {
+        this.injectValidationStyles();
+        
+        const errorId = `${field.id || (field.form.id + '-' + field.name)}-error`;
+        let errorElement = document.getElementById(errorId);
+        if (!errorElement) {
+            errorElement = document.createElement('p');
+            errorElement.id = errorId;
+            errorElement.className = 'mrd-field-error';
+            errorElement.setAttribute('aria-live', 'polite');
+            field.insertAdjacentElement('afterend', errorElement);
+        }
+        errorElement.textContent = message;
+        
+        // Count an error when a field turns invalid, not on every keystroke while it stays so
+        if (field.getAttribute('aria-invalid') !== 'true') this.recordFieldError(field);
+        
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+        if (!describedBy.includes(errorId)) describedBy.push(errorId);
+        field.setAttribute('aria-describedby', describedBy.join(' '));
+        field.setAttribute('aria-invalid', 'true');
+        field.classList.add('mrd-field-invalid');
+    }
+
+    clearFieldError(field) {
+        const errorId = `${field.id || (field.form.id + '-' + field.name)}-error`;
+        const errorElement = document.getElementById(errorId);
+        if (errorElement) errorElement.remove();
+        
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(' ').filter(id => id && id !== errorId);
+        if (describedBy.length) {
+            field.setAttribute('aria-describedby', describedBy.join(' '));
+        } else {
+            field.removeAttribute('aria-describedby');
+        }
+        field.removeAttribute('aria-invalid');
+        field.classList.remove('mrd-field-invalid');
+    }
+
+    injectValidationStyles() {
+        if (document.getElementById('mrd-validation-styles')) return;
+        
+        const style = document.createElement('style');
+        style.id = 'mrd-validation-styles';
+        style.textContent = `
+            .mrd-field-invalid { border-color: #ef4444 !important; }
+            .mrd-field-error { color: #ef4444; font-size: 0.85rem; margin: 0.25rem 0 0; }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Spam protection - honeypot, time-to-submit, rate limits and a
+     * proof-of-work challenge solved in the background at page load
+     */
+    initializeSpamProtection() {
+        const prepareForms = () => {
+            document.querySelectorAll('form').forEach(form => {
+                if (!this.isValidatedForm(form)) return;
+                this.injectHoneypot(form);
+                if (!this.formTimings[form.id]) this.formTimings[form.id] = Date.now();
+            });
+        };
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', prepareForms);
+        } else {
+            prepareForms();
+        }
+        
+        this.solveSpamChallenge().catch(error => {
+            if (this.config.debug) console.warn('⚠️ Spam challenge could not be solved', error);
+        });
+    }
+
+    /**
+     * Off-screen field that people never see or fill, but form-filling bots do
+     */
+    injectHoneypot(form) {
+        const name = this.config.spamProtection.honeypotField;
+        if (form.elements.namedItem(name)) return;
+        
+        const wrapper = document.createElement('div');
+        wrapper.setAttribute('aria-hidden', 'true');
+        wrapper.style.cssText = 'position: absolute; left: -10000px; width: 1px; height: 1px; overflow: hidden;';
+        wrapper.innerHTML = `<label>Leave this field empty <input type="text" name="${name}" tabindex="-1" autocomplete="off"></label>`;
+        form.appendChild(wrapper);
+    }
+
+    /**
+     * Find a nonce so that SHA-256(challenge:nonce) starts with powDifficulty zero bits.
+     * The challenge embeds its issue time so the webhook can reject stale work, and
+     * the webhook accepts each challenge once, so every submission needs a fresh one.
+     */
+    async solveSpamChallenge() {
+        if (!window.crypto || !window.crypto.subtle || typeof TextEncoder === 'undefined') return;
+        
+        const difficulty = this.config.spamProtection.powDifficulty;
+        const random = Array.from(window.crypto.getRandomValues(new Uint8Array(8)))
+            .map(byte => byte.toString(16).padStart(2, '0')).join('');
+        const challenge = `${Date.now()}.${random}`;
+        const encoder = new TextEncoder();
+        
+        for (let nonce = 0; nonce < 1e7; nonce++) {
+            const digest = await window.crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`));
+            if (this.countLeadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+                this.spamChallenge = { challenge, nonce, difficulty };
+                return this.spamChallenge;
+            }
+        }
+    }
+
+    countLeadingZeroBits(bytes) {
+        let bits = 0;
+        for (const byte of bytes) {
+            if (byte !== 0) return bits + Math.clz32(byte) - 24;
+            bits += 8;
+        }
+        return bits;
+    }
+
+    /**
+     * Score a submission. The result travels with it so the webhook can
+     * compare its own verdict against the browser's.
+     */
+    assessSpam(data) {
+        const { honeypotField, minSubmitMs, weights } = this.config.spamProtection;
+        const fields = data.data;
+        const signals = [];
+        
+        const honeypotFilled = !!(fields[honeypotField] && String(fields[honeypotField]).trim());
+        delete fields[honeypotField];
+        if (honeypotFilled) signals.push('honeypot');
+        
+        const elapsed = Date.now() - (this.formTimings[data.form_id] || this.pageStartedAt);
+        if (elapsed < minSubmitMs) signals.push('too_fast');
+        
+        if (this.isRateLimited(fields.email)) signals.push('rate_limited');
+        if (!this.spamChallenge) signals.push('pow_missing');
+        
+        return {
+            score: signals.reduce((total, signal) => total + (weights[signal] || 0), 0),
+            signals,
+            honeypot_filled: honeypotFilled,
+            elapsed_ms: elapsed,
+            ...(this.spamChallenge || {})
+        };
+    }
+
+    /**
+     * Per-session limits live in sessionStorage, per-email limits in localStorage
+     * under a hash of the address so no email is kept just for rate limiting
+     */
+    isRateLimited(email) {
+        const { perSession, perEmail } = this.config.spamProtection.rateLimits;
+        const now = Date.now();
+        
+        const sessionTimes = this.getSessionSubmissionTimes().filter(time => now - time < perSession.windowMs);
+        if (sessionTimes.length >= perSession.max) return true;
+        
+        if (email) {
+            const rates = this.getLocalData('submission_rate') || {};
+            const emailTimes = rates[this.hashString(String(email).trim().toLowerCase())] || [];
+            if (emailTimes.filter(time => now - time < perEmail.windowMs).length >= perEmail.max) return true;
+        }
+        return false;
+    }
+
+    recordSubmissionForRateLimit(email) {
+        const { perSession, perEmail } = this.config.spamProtection.rateLimits;
+        const now = Date.now();
+        
+        const sessionTimes = this.getSessionSubmissionTimes().filter(time => now - time < perSession.windowMs);
+        sessionTimes.push(now);
+        try {
+            sessionStorage.setItem(this.config.localStoragePrefix + 'submission_times', JSON.stringify(sessionTimes));
+        } catch (error) {
+            console.warn('⚠️ Failed to save to sessionStorage:', error);
+        }
+        
+        if (email) {
+            const rates = this.getLocalData('submission_rate') || {};
+            const key = this.hashString(String(email).trim().toLowerCase());
+            rates[key] = (rates[key] || []).filter(time => now - time < perEmail.windowMs).concat(now);
+            this.saveLocalData('submission_rate', rates);
+        }
+    }
+
+    getSessionSubmissionTimes() {
+        try {
+            return JSON.parse(sessionStorage.getItem(this.config.localStoragePrefix + 'submission_times') || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * FNV-1a, enough to key local counters without keeping the raw value
+     */
+    hashString(value) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16);
+    }
+
+    /**
+     * Duplicate registration lookup. The webhook only ever sees a hash of the
+     * address and only answers yes/no, so the member list is never exposed.
+     * Resolves to true/false; falls back to this browser's own submissions
+     * when offline or when the webhook cannot be reached.
+     */
+    isRegistered(email) {
+        const normalized = String(email || '').trim().toLowerCase();
+        if (!normalized) return Promise.resolve(false);
+        
+        const cached = this.registrationCache[normalized];
+        if (cached && Date.now() - cached.at < this.config.registration.cacheMs) {
+            return Promise.resolve(cached.registered);
+        }
+        
+        // Debounce: a newer lookup supersedes one that has not been sent yet
+        const pending = this.registrationLookup;
+        if (pending && pending.email === normalized) return pending.promise;
+        if (pending) {
+            clearTimeout(pending.timer);
+            pending.resolve(this.isRegisteredLocally(pending.email));
+        }
+        
+        const lookup = { email: normalized };
+        lookup.promise = new Promise(resolve => {
+            lookup.resolve = resolve;
+            lookup.timer = setTimeout(() => {
+                if (this.registrationLookup === lookup) this.registrationLookup = null;
+                this.lookupRegistration(normalized).then(resolve);
+            }, this.config.registration.debounceMs);
+        });
+        this.registrationLookup = lookup;
+        return lookup.promise;
+    }
+
+    async lookupRegistration(email) {
+        const { lookupUrl } = this.config.registration;
+        if (!lookupUrl || navigator.onLine === false) return this.isRegisteredLocally(email);
+        
+        try {
+            const emailHash = await this.hashEmail(email);
+            const res = await fetch(`${lookupUrl}?action=is_registered&email_hash=${emailHash}`, { mode: 'cors' });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            
+            const body = await res.json();
+            if (typeof body.registered !== 'boolean') throw new Error('Unexpected lookup response');
+            
+            // A registration still waiting in the outbox is not on the server yet
+            const registered = body.registered || this.isRegisteredLocally(email);
+            this.registrationCache[email] = { registered, at: Date.now() };
+            return registered;
+        } catch (error) {
+            if (this.config.debug) console.warn('⚠️ Registration lookup failed, using local data', error);
+            return this.isRegisteredLocally(email);
+        }
+    }
+
+    isRegisteredLocally(email) {
+        const { formIds } = this.config.registration;
+        return this.getOutbox().some(record => {
+            const fields = record.data || record;
+            return formIds.includes(record.form_id) &&
+                String(fields.email || '').trim().toLowerCase() === email &&
+                record.delivery.state !== 'rejected';
+        });
+    }
+
+    rememberRegistration(email) {
+        const normalized = String(email || '').trim().toLowerCase();
+        if (normalized) this.registrationCache[normalized] = { registered: true, at: Date.now() };
+    }
+
+    /**
+     * SHA-256 of the normalized address with a site prefix, as hex.
+     * Must match hashEmail() in analytics-webhook-clean.js.
+     */
+    hashEmail(email) {
+        return this.sha256Hex('mrd:' + String(email).trim().toLowerCase());
+    }
+
+    async sha256Hex(text) {
+        const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Show form feedback to user, through the form's own renderer if it registered one
+     */
+    showFormFeedback(form, type, message) {
+        const options = this.getFormOptions(form);
+        if (options.feedback) {
+            options.feedback(form, type, message);
+            return;
+        }
+        
+        const feedbackDiv = this.getFeedbackElement(form);
+        feedbackDiv.className = `form-feedback ${type}`;
+        feedbackDiv.textContent = message;
+        feedbackDiv.classList.remove('hidden');
+        
+        // Auto-hide after 5 seconds
+        clearTimeout(feedbackDiv.mrdHideTimer);
+        feedbackDiv.mrdHideTimer = setTimeout(() => {
+            feedbackDiv.classList.add('hidden');
+        }, 5000);
+    }
+
+    /**
+     * The .form-feedback inside the form or right after it, created if there is none
+     */
+    getFeedbackElement(form) {
+        const next = form.nextElementSibling;
+        let feedbackDiv = form.querySelector('.form-feedback') ||
+            (next && next.classList.contains('form-feedback') ? next : null);
+        
+        if (!feedbackDiv) {
+            feedbackDiv = document.createElement('div');
+            feedbackDiv.className = 'form-feedback hidden';
+            form.appendChild(feedbackDiv);
+        }
+        feedbackDiv.setAttribute('role', 'status');
+        feedbackDiv.setAttribute('aria-live', 'polite');
+        return feedbackDiv;
+    }
+
+    /**
+     * Initialize analytics system
+     */
+    initializeAnalytics() {
+        if (this.analyticsStarted || !this.hasConsent('analytics')) return;
+        this.analyticsStarted = true;
+        
+        this.captureAttribution();
+        this.trackPageView();
+        this.setupAnalyticsTracking();
+        
+        if (this.config.debug) {
+            console.log('📊 Analytics system initialized');
+        }
+    }
+
+    /**
+     * Track page view
+     */
+    trackPageView() {
+        const route = this.getCurrentRoute();
+        const pageData = {
+            url: window.location.href,
+            title: document.title,
+            page_group: route.group,
+            content_category: route.category,
+            section: route.section,
+            // Only set when this page view started a touch (not on internal navigation)
+            channel: this.currentTouch ? this.currentTouch.channel : undefined,
+            source: this.currentTouch ? this.currentTouch.source : undefined,
+            medium: this.currentTouch ? this.currentTouch.medium : undefined,
+            campaign: this.currentTouch ? this.currentTouch.campaign : undefined,
+            timestamp: new Date().toISOString(),
+            session_id: this.getCurrentSessionId(),
+            referrer: document.referrer,
+            user_agent: navigator.userAgent,
+            viewport: {
+                width: window.innerWidth,
+                height: window.innerHeight
+            }
+        };
+        
+        this.saveAnalyticsData('page_views', pageData);
+        this.trackEvent('page_view', pageData);
+        this.emit('page_view', pageData);
+    }
+
+    /**
+     * Record this page view's touch against the visitor's first/last touch
+     */
+    captureAttribution() {
+        if (!this.hasConsent('analytics')) return null;
+        
+        const touch = this.getCurrentTouch();
+        const attribution = this.getAttribution() || {};
+        
+        if (touch) {
+            if (!attribution.first_touch) attribution.first_touch = touch;
+            // A direct visit never overwrites the campaign that brought the visitor
+            if (touch.channel !== 'direct' || !attribution.last_touch) attribution.last_touch = touch;
+        }
+        if (attribution.first_touch || attribution.last_touch) {
+            this.saveLocalData('attribution', attribution);
+        }
+        
+        this.currentTouch = touch;
+        return attribution;
+    }
+
+    /**
+     * { first_touch, last_touch } with expired touches dropped, or null
+     */
+    getAttribution(now = Date.now()) {
+        if (!this.hasConsent('analytics')) return null;
+        
+        const stored = this.getLocalData('attribution');
+        if (!stored) return null;
+        
+        const day = 24 * 60 * 60 * 1000;
+        const isLive = (touch, days) => !!touch && now - Date.parse(touch.timestamp) < days * day;
+        const attribution = {};
+        if (isLive(stored.first_touch, this.config.attribution.firstTouchDays)) attribution.first_touch = stored.first_touch;
+        if (isLive(stored.last_touch, this.config.attribution.lastTouchDays)) attribution.last_touch = stored.last_touch;
+        
+        return attribution.first_touch || attribution.last_touch ? attribution : null;
+    }
+
+    /**
+     * The touch this page view represents, or null when it is internal navigation
+     */
+    getCurrentTouch() {
+        const config = this.config.attribution;
+        const params = new URLSearchParams(window.location.search);
+        const param = name => (params.get(name) || '').trim().slice(0, 100) || undefined;
+        
+        const utm = {
+            source: param('utm_source'),
+            medium: param('utm_medium'),
+            campaign: param('utm_campaign'),
+            term: param('utm_term'),
+            content: param('utm_content')
+        };
+        if (utm.source) utm.source = utm.source.toLowerCase();
+        if (utm.medium) utm.medium = utm.medium.toLowerCase();
+        
+        const clickIdParam = Object.keys(config.clickIds).find(name => params.has(name));
+        const clickId = clickIdParam ? config.clickIds[clickIdParam] : null;
+        
+        let referrerHost = '';
+        try {
+            referrerHost = document.referrer ? new URL(document.referrer).hostname.replace(/^www\./, '').toLowerCase() : '';
+        } catch (error) {
+            referrerHost = '';
+        }
+        
+        const tagged = utm.source || utm.medium || utm.campaign || clickId;
+        if (!tagged && referrerHost && referrerHost === window.location.hostname.replace(/^www\./, '').toLowerCase()) {
+            return null;
+        }
+        
+        const source = utm.source || (clickId && clickId.source) || referrerHost || '(direct)';
+        const channel = this.classifyChannel(utm.medium, source, clickId, !!referrerHost);
+        const defaultMediums = {
+            direct: '(none)',
+            organic_search: 'organic',
+            social: 'social',
+            email: 'email',
+            referral: 'referral',
+            paid_search: 'cpc',
+            paid_social: 'paid_social'
+        };
+        
+        const touch = {
+            channel,
+            source,
+            medium: utm.medium || defaultMediums[channel] || '(none)',
+            campaign: utm.campaign,
+            term: utm.term,
+            content: utm.content,
+            click_id_param: clickIdParam,
+            click_id: clickIdParam ? params.get(clickIdParam).slice(0, 200) : undefined,
+            referrer_host: referrerHost || undefined,
+            landing_page: this.getCurrentPage(),
+            timestamp: new Date().toISOString()
+        };
+        Object.keys(touch).forEach(key => touch[key] === undefined && delete touch[key]);
+        return touch;
+    }
+
+    /**
+     * direct, organic_search, paid_search, social, paid_social, email, referral or other
+     */
+    classifyChannel(medium, source, clickId, hasReferrer) {
+        const config = this.config.attribution;
+        const isEmail = this.matchesSource(source, config.emailSources);
+        const isSocial = !isEmail && this.matchesSource(source, config.socialSources);
+        const isSearch = !isEmail && !isSocial && this.matchesSource(source, config.searchSources);
+        
+        if (medium) {
+            if (/^(e-?mail|newsletter)$/.test(medium)) return 'email';
+            if (/^(paid[_-]?social|social[_-]?paid)$/.test(medium)) return 'paid_social';
+            if (/^(cpc|ppc|paid|paid[_-]?search|sem)$/.test(medium)) return isSocial ? 'paid_social' : 'paid_search';
+            if (/^(social|social[_-]?media|sm|organic[_-]?social)$/.test(medium)) return 'social';
+            if (medium === 'organic') return 'organic_search';
+            if (medium === 'referral') return 'referral';
+            return 'other';
+        }
+        if (clickId) return clickId.channel;
+        if (isEmail) return 'email';
+        if (isSocial) return 'social';
+        if (isSearch) return 'organic_search';
+        return hasReferrer || source !== '(direct)' ? 'referral' : 'direct';
+    }
+
+    matchesSource(source, names) {
+        const labels = source.split('.');
+        return names.some(name => source === name || source.endsWith('.' + name) || labels.includes(name));
+    }
+
+    /**
+     * Check an event against config.goals and config.funnels and track
+     * goal_completed / funnel_step for whatever it completes
+     */
+    evaluateConversions(eventType, data, element = null) {
+        if (eventType === 'goal_completed' || eventType === 'funnel_step') return;
+        if (!this.hasConsent('analytics')) return;
+        
+        const event = { type: eventType, data: data || {}, element };
+        const now = Date.now();
+        
+        const sessionId = this.getCurrentSessionId();
+        const completedGoals = this.getLocalData('goals') || {};
+        this.config.goals.forEach(goal => {
+            if (completedGoals[goal.id] === sessionId || !this.matchesConversion(goal.match, event)) return;
+            
+            completedGoals[goal.id] = sessionId;
+            this.saveLocalData('goals', completedGoals);
+            this.trackEvent('goal_completed', {
+                goal_id: goal.id,
+                goal_name: goal.name,
+                trigger: eventType,
+                ms_since_session_start: this.currentSession ? now - Date.parse(this.currentSession.startTime) : null
+            });
+        });
+        
+        const progress = this.getLocalData('funnels') || {};
+        this.config.funnels.forEach(funnel => {
+            let state = progress[funnel.id];
+            const windowMs = (funnel.windowDays || 7) * 24 * 60 * 60 * 1000;
+            if (state && (now - state.started_at > windowMs || state.step >= funnel.steps.length - 1)) {
+                state = null;
+            }
+            
+            const stepIndex = state ? state.step + 1 : 0;
+            const step = funnel.steps[stepIndex];
+            if (!this.matchesConversion(step.match, event)) return;
+            
+            const msSincePrevious = state ? now - state.last_step_at : 0;
+            progress[funnel.id] = {
+                step: stepIndex,
+                started_at: state ? state.started_at : now,
+                last_step_at: now
+            };
+            this.saveLocalData('funnels', progress);
+            this.recordFunnelStep(funnel.id, stepIndex, msSincePrevious);
+            
+            this.trackEvent('funnel_step', {
+                funnel_id: funnel.id,
+                step_id: step.id,
+                step_index: stepIndex + 1,
+                step_count: funnel.steps.length,
+                ms_since_previous_step: msSincePrevious,
+                ms_since_funnel_start: now - progress[funnel.id].started_at,
+                completed: stepIndex === funnel.steps.length - 1
+            });
+        });
+    }
+
+    matchesConversion(match, event) {
+        if (!match) return false;
+        
+        if (match.page || match.url) {
+            if (event.type !== 'page_view') return false;
+            if (match.page && ![].concat(match.page).includes(this.getCurrentPage())) return false;
+            if (match.url) {
+                const url = window.location.href;
+                if (match.url instanceof RegExp ? !match.url.test(url) : !url.includes(match.url)) return false;
+            }
+            return true;
+        }
+        if (match.selector) {
+            return event.type === 'click' && !!event.element && !!event.element.closest &&
+                !!event.element.closest(match.selector);
+        }
+        if (match.event) {
+            if (event.type !== match.event) return false;
+            return Object.keys(match.data || {}).every(key => {
+                const expected = match.data[key];
+                const actual = event.data[key];
+                if (expected instanceof RegExp) return expected.test(String(actual));
+                return Array.isArray(expected) ? expected.includes(actual) : expected === actual;
+            });
+        }
+        return false;
+    }
+
+    /**
+     * Per-step counts for getFunnelReport(); only ever reflects this browser
+     */
+    recordFunnelStep(funnelId, stepIndex, msSincePrevious) {
+        const stats = this.getLocalData('funnel_stats') || {};
+        const steps = stats[funnelId] = stats[funnelId] || [];
+        const step = steps[stepIndex] = steps[stepIndex] || { count: 0, total_ms: 0 };
+        step.count += 1;
+        step.total_ms += msSincePrevious;
+        this.saveLocalData('funnel_stats', stats);
+    }
+
+    /**
+     * Funnel conversion for this browser, e.g. MRDBrain.getFunnelReport('course_signup').
+     * Without an id, returns a report for every configured funnel.
+     */
+    getFunnelReport(funnelId = null) {
+        if (!funnelId) return this.config.funnels.map(funnel => this.getFunnelReport(funnel.id));
+        
+        const funnel = this.config.funnels.find(item => item.id === funnelId);
+        if (!funnel) return null;
+        
+        const stats = (this.getLocalData('funnel_stats') || {})[funnelId] || [];
+        const entered = stats[0] ? stats[0].count : 0;
+        const steps = funnel.steps.map((step, index) => {
+            const count = stats[index] ? stats[index].count : 0;
+            const previous = index === 0 ? count : (stats[index - 1] ? stats[index - 1].count : 0);
+            const conversion = previous ? count / previous : 0;
+            return {
+                id: step.id,
+                name: step.name || step.id,
+                count,
+                conversion_rate: Math.round(conversion * 1000) / 1000,
+                drop_off_rate: index === 0 || !previous ? 0 : Math.round((1 - conversion) * 1000) / 1000,
+                avg_ms_from_previous: index > 0 && count ? Math.round(stats[index].total_ms / count) : null
+            };
+        });
+        const completed = steps[steps.length - 1].count;
+        
+        return {
+            id: funnel.id,
+            name: funnel.name,
+            entered,
+            completed,
+            conversion_rate: entered ? Math.round(completed / entered * 1000) / 1000 : 0,
+            steps
+        };
+    }
+
+    /**
+     * Track in-page navigation to a #section
+     */
+    trackSectionView() {
+        const route = this.getCurrentRoute();
+        if (!route.section) return;
+        
+        this.trackEvent('section_view', {
+            section: route.section,
+            page_group: route.group,
+            content_category: route.category
+        });
+    }
+
+    /**
+     * Track user interactions
+     */
+    trackInteraction(type, element) {
+        const interactionData = {
+            type: type,
+            element: this.getElementInfo(element),
+            timestamp: new Date().toISOString(),
+            session_id: this.getCurrentSessionId(),
+            page: this.getCurrentPage()
+        };
+        
+        this.trackEvent('interaction', interactionData);
+    }
+
+    /**
+     * Track scroll behavior
+     */
+    trackScroll() {
+        const scrollData = {
+            scrollY: window.scrollY,
+            scrollX: window.scrollX,
+            maxScrollY: document.documentElement.scrollHeight - window.innerHeight,
+            scrollPercentage: Math.round((window.scrollY / (document.documentElement.scrollHeight - window.innerHeight)) * 100)
+        };
+        
+        this.trackEvent('scroll', scrollData);
+    }
+
+    /**
+     * Initialize performance monitoring
+     */
+    initializePerformanceMonitoring() {
+        if (this.performanceStarted || !this.hasConsent('performance')) return;
+        this.performanceStarted = true;
+        
+        // With performance consent alone, initializeAnalytics never binds the page-hide flush
+        this.setupAnalyticsTracking();
+        this.setupPerformanceObserver();
+        this.monitorCoreWebVitals();
+        
+        if (this.config.debug) {
+            console.log('⚡ Performance monitoring initialized');
+        }
+    }
+
+    /**
+     * Setup performance observer
+     */
+    setupPerformanceObserver() {
+        if ('PerformanceObserver' in window) {
+            try {
+                this.performanceObserver = new PerformanceObserver((list) => {
+                    for (const entry of list.getEntries()) {
+                        this.analyzePerformanceEntry(entry);
+                    }
+                });
+                
+                this.performanceObserver.observe({ entryTypes: ['navigation', 'resource', 'paint'] });
+            } catch (error) {
+                console.warn('⚠️ PerformanceObserver setup failed:', error);
+            }
+        }
+    }
+
+    /**
+     * Monitor Core Web Vitals. Observers only keep the latest state in
+     * this.vitals; each metric is reported once, when the page is first hidden.
+     */
+    monitorCoreWebVitals() {
+        if (!('PerformanceObserver' in window)) return;
+        
+        this.observeVital('largest-contentful-paint', entries => {
+            const entry = entries[entries.length - 1];
+            this.vitals.LCP = {
+                value: entry.startTime,
+                attribution: {
+                    element: this.getElementSelector(entry.element),
+                    url: entry.url || '',
+                    size: entry.size,
+                    load_time: Math.round(entry.loadTime || 0),
+                    render_time: Math.round(entry.renderTime || 0)
+                }
+            };
+        });
+        
+        this.observeVital('paint', entries => {
+            const fcp = entries.find(entry => entry.name === 'first-contentful-paint');
+            if (fcp) this.vitals.FCP = { value: fcp.startTime, attribution: {} };
+        });
+        
+        this.observeVital('navigation', entries => {
+            const nav = entries[0];
+            if (!nav || !nav.responseStart) return;
+            this.vitals.TTFB = {
+                value: Math.max(nav.responseStart - (nav.activationStart || 0), 0),
+                attribution: {
+                    dns: Math.round(nav.domainLookupEnd - nav.domainLookupStart),
+                    connection: Math.round(nav.connectEnd - nav.connectStart),
+                    waiting: Math.round(nav.responseStart - nav.requestStart)
+                }
+            };
+        });
+        
+        this.observeVital('layout-shift', entries => {
+            entries.forEach(entry => this.addLayoutShift(entry));
+        });
+        
+        // INP: 'event' entries grouped by interaction, plus first-input so a
+        // single quick click is still counted
+        this.observeVital('event', entries => {
+            entries.forEach(entry => this.addInteraction(entry));
+        }, { durationThreshold: 40 });
+        this.observeVital('first-input', entries => {
+            entries.forEach(entry => this.addInteraction(entry));
+        });
+        
+        if (!this.vitalsFinalizeBound) {
+            this.vitalsFinalizeBound = true;
+            // On the first hide, like form abandonment, so the final values go out with
+            // the flush that is still delivered rather than waiting for unload
+            this.onPageHide(() => this.finalizeVitals());
+        }
+    }
+
+    observeVital(type, callback, options = {}) {
+        if (!(PerformanceObserver.supportedEntryTypes || []).includes(type)) return;
+        
+        try {
+            const observer = new PerformanceObserver(list => callback(list.getEntries()));
+            observer.observe({ type, buffered: true, ...options });
+            this.vitalsObservers.push(observer);
+        } catch (error) {
+            console.warn(`⚠️ ${type} monitoring failed:`, error);
+        }
+    }
+
+    /**
+     * Session-window CLS: shifts less than 1s apart form a window of at most
+     * 5s, and CLS is the largest window
+     */
+    addLayoutShift(entry) {
+        if (entry.hadRecentInput) return;
+        
+        const state = this.layoutShifts;
+        const current = state.window;
+        if (current && entry.startTime - current.last < 1000 && entry.startTime - current.first < 5000) {
+            current.value += entry.value;
+            current.last = entry.startTime;
+            current.entries.push(entry);
+        } else {
+            state.window = { value: entry.value, first: entry.startTime, last: entry.startTime, entries: [entry] };
+        }
+        
+        if (state.window.value > (this.vitals.CLS ? this.vitals.CLS.value : 0)) {
+            const largest = state.window.entries.reduce((a, b) => (b.value > a.value ? b : a));
+            this.vitals.CLS = {
+                value: state.window.value,
+                attribution: {
+                    largest_shift_value: Math.round(largest.value * 10000) / 10000,
+                    largest_shift_time: Math.round(largest.startTime),
+                    sources: (largest.sources || [])
+                        .map(source => this.getElementSelector(source.node))
+                        .filter(Boolean)
+                        .slice(0, 5)
+                }
+            };
+        }
+    }
+
+    /**
+     * INP is the worst interaction, or roughly the 98th percentile once a
+     * page has 50 or more
+     */
+    addInteraction(entry) {
+        const id = entry.interactionId || (entry.entryType === 'first-input' ? `first_${entry.startTime}` : null);
+        if (!id) return;
+        
+        const interactions = this.interactions;
+        const existing = interactions.find(interaction => interaction.id === id);
+        if (existing) {
+            if (entry.duration <= existing.duration) return;
+            interactions.splice(interactions.indexOf(existing), 1);
+        }
+        interactions.push({
+            id,
+            duration: entry.duration,
+            type: entry.name,
+            element: this.getElementSelector(entry.target),
+            input_delay: Math.round(entry.processingStart - entry.startTime),
+            processing_time: Math.round(entry.processingEnd - entry.processingStart),
+            presentation_delay: Math.round(entry.startTime + entry.duration - entry.processingEnd)
+        });
+        this.interactionCount = (this.interactionCount || 0) + (existing ? 0 : 1);
+        
+        // Only the slowest few are needed to pick the percentile
+        interactions.sort((a, b) => b.duration - a.duration);
+        interactions.length = Math.min(interactions.length, 10);
+        
+        const worst = interactions[Math.min(Math.floor(this.interactionCount / 50), interactions.length - 1)];
+        const { id: worstId, duration, ...attribution } = worst;
+        this.vitals.INP = {
+            value: duration,
+            attribution: {
+                ...attribution,
+                interactions: this.interactionCount,
+                slow_interactions: interactions.filter(i => i.duration > this.config.performanceThresholds.interaction).length
+            }
+        };
+    }
+
+    /**
+     * Report every measured vital exactly once per page
+     */
+    finalizeVitals() {
+        if (this.vitalsFinalized || !this.hasConsent('performance')) return;
+        this.vitalsFinalized = true;
+        
+        Object.keys(this.vitals).forEach(metric => {
+            const { value, attribution } = this.vitals[metric];
+            this.trackCoreWebVital(metric, value, attribution);
+        });
+    }
+
+    /**
+     * Google's published good / poor boundaries
+     */
+    getVitalRating(metric, value) {
+        const boundaries = {
+            LCP: [2500, 4000],
+            INP: [200, 500],
+            CLS: [0.1, 0.25],
+            FCP: [1800, 3000],
+            TTFB: [800, 1800]
+        }[metric];
+        if (!boundaries) return null;
+        if (value <= boundaries[0]) return 'good';
+        return value <= boundaries[1] ? 'needs-improvement' : 'poor';
+    }
+
+    /**
+     * Short CSS-like path (e.g. "section.hero > div > img#hero-image") for attribution
+     */
+    getElementSelector(element) {
+        if (!element || element.nodeType !== 1) return '';
+        if (element.closest(`[${this.config.redaction.privateAttribute}]`)) return element.tagName.toLowerCase();
+        
+        const parts = [];
+        let node = element;
+        while (node && node.nodeType === 1 && node !== document.body && parts.length < 4) {
+            let part = node.tagName.toLowerCase();
+            if (node.id) {
+                parts.unshift(`${part}#${node.id}`);
+                break;
+            }
+            const classes = Array.from(node.classList).slice(0, 2);
+            if (classes.length) part += '.' + classes.join('.');
+            parts.unshift(part);
+            node = node.parentElement;
+        }
+        return parts.join(' > ');
+    }
+
+    /**
+     * Track Core Web Vitals
+     */
+    trackCoreWebVital(metric, value, attribution = {}) {
+        if (!this.hasConsent('performance')) return;
+        
+        const precision = metric === 'CLS' ? 10000 : 1;
+        const rounded = Math.round(value * precision) / precision;
+        const rating = this.getVitalRating(metric, rounded);
+        
+        const vitalData = {
+            metric: metric,
+            value: rounded,
+            rating: rating,
+            attribution: attribution,
+            timestamp: new Date().toISOString(),
+            page: this.getCurrentPage(),
+            session_id: this.getCurrentSessionId()
+        };
+        
+        this.saveAnalyticsData('core_web_vitals', vitalData);
+        this.trackEvent('core_web_vitals', { metric, value: rounded, rating, attribution });
+        this.emit('vital', { metric, value: rounded, rating, attribution });
+        
+        // Alert if performance is over budget
+        const budget = this.config.performanceThresholds[metric];
+        if (budget !== undefined && rounded > budget) {
+            this.alertPerformanceIssue(metric, rounded, budget, { attribution });
+        }
+    }
+
+    /**
+     * Route entries from the page's PerformanceObserver. Resources are checked
+     * one by one as they arrive, so lazy images and iframes loaded after the
+     * load event are still caught.
+     */
+    analyzePerformanceEntry(entry) {
+        if (entry.entryType === 'paint') {
+            this.paintTimings[entry.name] = Math.round(entry.startTime);
+        } else if (entry.entryType === 'resource') {
+            this.checkResourceBudget(entry);
+        } else if (entry.entryType === 'navigation' && this.config.debug) {
+            console.log('⚡ Navigation timing:', this.getNavigationBreakdown(entry));
+        }
+    }
+
+    checkResourceBudget(entry) {
+        const { resourceDuration, resourceSize } = this.config.performanceThresholds;
+        const details = this.describeResource(entry);
+        
+        if (entry.duration > resourceDuration) {
+            this.alertPerformanceIssue('resource_duration', entry.duration, resourceDuration, details);
+        }
+        if (details.size > resourceSize) {
+            this.alertPerformanceIssue('resource_size', details.size, resourceSize, details);
+        }
+    }
+
+    /**
+     * Cross-origin resources without Timing-Allow-Origin report zero sizes,
+     * so size_known tells "small" apart from "unknown"
+     */
+    describeResource(entry) {
+        const size = Math.max(entry.transferSize || 0, entry.encodedBodySize || 0);
+        return {
+            url: entry.name,
+            group: this.getResourceGroup(entry.name),
+            initiator: entry.initiatorType,
+            duration: Math.round(entry.duration),
+            size,
+            size_known: size > 0
+        };
+    }
+
+    getResourceGroup(url) {
+        let host;
+        try {
+            host = new URL(url, window.location.href).hostname;
+        } catch (error) {
+            return 'other';
+        }
+        if (host === window.location.hostname) return 'first_party';
+        
+        const groups = this.config.resourceGroups;
+        return Object.keys(groups).find(group =>
+            groups[group].some(domain => host === domain || host.endsWith('.' + domain))
+        ) || 'third_party';
+    }
+
+    /**
+     * Phases of the page's own request, in ms from navigation start
+     */
+    getNavigationBreakdown(nav) {
+        const round = value => Math.max(Math.round(value), 0);
+        return {
+            type: nav.type,
+            redirect: round(nav.redirectEnd - nav.redirectStart),
+            dns: round(nav.domainLookupEnd - nav.domainLookupStart),
+            tcp: round(nav.connectEnd - nav.connectStart),
+            tls: nav.secureConnectionStart > 0 ? round(nav.connectEnd - nav.secureConnectionStart) : 0,
+            ttfb: round(nav.responseStart - (nav.activationStart || 0)),
+            download: round(nav.responseEnd - nav.responseStart),
+            dom_interactive: round(nav.domInteractive),
+            dom_content_loaded: round(nav.domContentLoadedEventEnd),
+            load: round(nav.loadEventEnd || nav.loadEventStart),
+            transfer_size: nav.transferSize || 0
+        };
+    }
+
+    /**
+     * Navigation breakdown plus a summary of every resource loaded by the load
+     * event, grouped by origin (Tailwind CDN, Cloudinary, YouTube, ...)
+     */
+    trackPageLoad() {
+        if (!this.hasConsent('performance') || !window.performance || !performance.getEntriesByType) return;
+        
+        // loadEventEnd is only set once the load handlers have finished
+        setTimeout(() => {
+            const nav = performance.getEntriesByType('navigation')[0];
+            if (!nav) return;
+            
+            const navigation = this.getNavigationBreakdown(nav);
+            const resources = performance.getEntriesByType('resource').map(entry => this.describeResource(entry));
+            const { resourceDuration, resourceSize } = this.config.performanceThresholds;
+            
+            const groups = {};
+            resources.forEach(resource => {
+                const group = groups[resource.group] = groups[resource.group] || { count: 0, size: 0, slowest: 0 };
+                group.count++;
+                group.size += resource.size;
+                group.slowest = Math.max(group.slowest, resource.duration);
+            });
+            
+            const pageWeight = navigation.transfer_size + resources.reduce((total, resource) => total + resource.size, 0);
+            const byDuration = (a, b) => b.duration - a.duration;
+            
+            this.trackEvent('page_load', {
+                ...navigation,
+                paint: this.paintTimings,
+                resource_count: resources.length,
+                page_weight: pageWeight,
+                resource_groups: groups,
+                slow_resources: resources.filter(r => r.duration > resourceDuration).sort(byDuration).slice(0, 10),
+                large_resources: resources.filter(r => r.size > resourceSize).sort((a, b) => b.size - a.size).slice(0, 10)
+            });
+            
+            const thresholds = this.config.performanceThresholds;
+            [
+                ['pageLoad', navigation.load],
+                ['ttfb', navigation.ttfb],
+                ['dns', navigation.dns],
+                ['tls', navigation.tls],
+                ['domInteractive', navigation.dom_interactive],
+                ['pageWeight', pageWeight]
+            ].forEach(([metric, value]) => {
+                if (value > thresholds[metric]) this.alertPerformanceIssue(metric, value, thresholds[metric]);
+            });
+        }, 0);
+    }
+
+    trackPageUnload() {
+        if (!this.hasConsent('performance')) return;
+        
+        this.trackEvent('page_unload', {
+            time_on_page: Date.now() - this.pageStartedAt,
+            issues_reported: this.reportedIssues.size
+        });
+    }
+
+    /**
+     * Report a budget violation once per page (per resource for resource budgets)
+     */
+    alertPerformanceIssue(metric, value, budget, details = {}) {
+        const key = `${metric}|${details.url || ''}`;
+        if (this.reportedIssues.has(key)) return;
+        this.reportedIssues.add(key);
+        
+        const violation = {
+            metric,
+            value: Math.round(value * 1000) / 1000,
+            budget,
+            over_by: Math.round((value - budget) * 1000) / 1000,
+            unit: /size|weight/i.test(metric) ? 'bytes' : metric === 'CLS' ? 'score' : 'ms',
+            page: this.getCurrentPage(),
+            ...details
+        };
+        
+        this.saveAnalyticsData('performance_issues', violation);
+        this.trackEvent('performance_issue', violation);
+        
+        if (this.config.debug) {
+            console.warn(`🐢 Performance budget exceeded: ${metric} ${violation.value} > ${budget}`, violation);
+        }
+    }
+
+    /**
+     * Initialize SEO management
+     */
+    initializeSEOManagement() {
+        this.optimizeMetaTags();
+        this.setupStructuredData();
+        this.enhanceInternalLinking();
+        
+        if (this.config.debug) {
+            console.log('🔍 SEO management initialized');
+        }
+    }
+
+    /**
+     * Apply config.seo for the current page. Waits for the DOM because some
+     * pages load this script before the rest of their <head>.
+     */
+    optimizeMetaTags() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.optimizeMetaTags(), { once: true });
+            return;
+        }
+        
+        const meta = this.getPageMetadata();
+        
+        if (meta.title) document.title = meta.title;
+        this.setHeadTag('meta', 'name', 'description', meta.description);
+        this.setHeadTag('meta', 'name', 'robots', meta.robots);
+        this.setHeadTag('link', 'rel', 'canonical', meta.url);
+        
+        // Ensure proper viewport meta tag
+        if (!document.querySelector('meta[name="viewport"]')) {
+            this.setHeadTag('meta', 'name', 'viewport', 'width=device-width, initial-scale=1.0');
+        }
+        
+        // Add Open Graph tags
+        this.addOpenGraphTags(meta);
+    }
+
+    /**
+     * Add Open Graph and Twitter card tags for social media
+     */
+    addOpenGraphTags(meta = this.getPageMetadata()) {
+        this.setHeadTag('meta', 'property', 'og:title', meta.title);
+        this.setHeadTag('meta', 'property', 'og:description', meta.description);
+        this.setHeadTag('meta', 'property', 'og:type', 'website');
+        this.setHeadTag('meta', 'property', 'og:url', meta.url);
+        this.setHeadTag('meta', 'property', 'og:site_name', this.config.site.name);
+        this.setHeadTag('meta', 'property', 'og:image', meta.image);
+        
+        this.setHeadTag('meta', 'name', 'twitter:card', this.config.seo.twitterCard);
+        this.setHeadTag('meta', 'name', 'twitter:title', meta.title);
+        this.setHeadTag('meta', 'name', 'twitter:description', meta.description);
+        this.setHeadTag('meta', 'name', 'twitter:image', meta.image);
+    }
+
+    /**
+     * A route's seo entry, filled in from the live <head> where the route is silent
+     */
+    getPageMetadata(route = this.getCurrentRoute()) {
+        const seo = this.config.seo;
+        const entry = route.seo || {};
+        const description = document.querySelector('meta[name="description"]');
+        const robots = document.querySelector('meta[name="robots"]');
+        
+        return {
+            page: route.page,
+            title: entry.title || document.title,
+            description: entry.description || (description && description.content) || seo.defaultDescription,
+            robots: entry.robots || (robots ? robots.content : undefined),
+            image: entry.image || seo.image,
+            // Never the live URL: it carries query strings and fragments
+            url: this.getRouteUrl(route)
+        };
+    }
+
+    /**
+     * Site root without a trailing slash, including basePath
+     */
+    getSiteUrl() {
+        return (this.config.site.url || window.location.origin + encodeURI(this.getBasePath())).replace(/\/$/, '');
+    }
+
+    /**
+     * Create or update <meta key=...> / <link rel=...> in <head>
+     */
+    setHeadTag(tagName, attribute, key, value) {
+        if (value === undefined || value === null) return;
+        
+        let element = document.head.querySelector(`${tagName}[${attribute}="${key}"]`);
+        if (!element) {
+            element = document.createElement(tagName);
+            element.setAttribute(attribute, key);
+            document.head.appendChild(element);
+        }
+        element.setAttribute(tagName === 'link' ? 'href' : 'content', value);
+    }
+
+    /**
+     * Mark links to the current page and harden external links that open a new tab
+     */
+    enhanceInternalLinking() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.enhanceInternalLinking(), { once: true });
+            return;
+        }
+        
+        const currentPage = this.getCurrentPage();
+        
+        document.querySelectorAll('a[href]').forEach(link => {
+            let url;
+            try {
+                url = new URL(link.getAttribute('href'), window.location.href);
+            } catch (error) {
+                return;
+            }
+            if (!/^https?:$/.test(url.protocol)) return;
+            
+            if (url.origin !== window.location.origin) {
+                if (link.target === '_blank') {
+                    const rel = new Set(link.rel.split(/\s+/).filter(Boolean));
+                    rel.add('noopener');
+                    rel.add('noreferrer');
+                    link.rel = Array.from(rel).join(' ');
+                }
+            } else if (!url.hash && link.closest('nav') && this.matchRoute(url.pathname).page === currentPage) {
+                link.setAttribute('aria-current', 'page');
+            }
+        });
+    }
+
+    /**
+     * Report heading order problems: no h1, several h1s, skipped levels, and
+     * headings stacked directly on a sibling heading (a heading used as a subtitle)
+     */
+    validateHeadingHierarchy() {
+        const issues = [];
+        const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'));
+        const h1Count = headings.filter(heading => heading.tagName === 'H1').length;
+        
+        if (h1Count === 0) {
+            issues.push({ check: 'heading_hierarchy', severity: 'error', message: 'Page has no h1' });
+        } else if (h1Count > 1) {
+            issues.push({ check: 'heading_hierarchy', severity: 'warning', message: `Page has ${h1Count} h1 elements` });
+        }
+        
+        let previousLevel = 0;
+        headings.forEach(heading => {
+            const level = Number(heading.tagName.charAt(1));
+            if (previousLevel && level > previousLevel + 1) {
+                issues.push({
+                    check: 'heading_hierarchy',
+                    severity: 'warning',
+                    message: `h${level} follows h${previousLevel}, skipping h${previousLevel + 1}`,
+                    selector: this.getElementSelector(heading)
+                });
+            }
+            previousLevel = level;
+            
+            const next = heading.nextElementSibling;
+            if (next && /^H[1-6]$/.test(next.tagName) && Number(next.tagName.charAt(1)) <= level) {
+                issues.push({
+                    check: 'heading_hierarchy',
+                    severity: 'warning',
+                    message: `h${level} "${this.truncateText(heading.textContent, 40)}" has no content before the next ${next.tagName.toLowerCase()}`,
+                    selector: this.getElementSelector(heading)
+                });
+            }
+        });
+        
+        if (this.config.debug && issues.length) {
+            console.warn('⚠️ Heading hierarchy issues:', issues);
+        }
+        return issues;
+    }
+
+    /**
+     * Alt text that could sit on any image: the site name, a word like "image", or a file name.
+     * Empty alt marks a decorative image and is fine.
+     */
+    isGenericAltText(alt) {
+        const text = alt.trim().toLowerCase();
+        if (!text) return false;
+        return text === this.config.site.name.toLowerCase() ||
+            ['image', 'img', 'photo', 'picture', 'pic', 'graphic', 'banner', 'logo'].includes(text) ||
+            /\.(jpe?g|png|gif|webp|avif|svg)$/.test(text);
+    }
+
+    /**
+     * On-page SEO audit for the current page, e.g. MRDBrain.auditSEO() from the console
+     */
+    auditSEO() {
+        const seo = this.config.seo;
+        const meta = this.getPageMetadata();
+        const issues = this.validateHeadingHierarchy();
+        
+        // Script-filled alt (see optimizeImages) counts as missing: it says nothing about the image
+        document.querySelectorAll('img:not([alt]), img[data-mrd-alt-filled]').forEach(img => {
+            issues.push({
+                check: 'image_alt',
+                severity: 'error',
+                message: img.hasAttribute('alt') ? 'Image only has the generic alt text added by script' : 'Image has no alt attribute',
+                selector: this.getElementSelector(img)
+            });
+        });
+        document.querySelectorAll('img[alt]:not([data-mrd-alt-filled])').forEach(img => {
+            if (!this.isGenericAltText(img.alt)) return;
+            issues.push({
+                check: 'image_alt_generic',
+                severity: 'warning',
+                message: `Alt text "${img.alt}" does not describe the image`,
+                selector: this.getElementSelector(img)
+            });
+        });
+        
+        // Usually a base path that does not match where the site is served from
+        if (meta.page === 'unknown_page') {
+            issues.push({
+                check: 'unknown_page',
+                severity: 'error',
+                message: `${window.location.pathname} is not in config.routes (slug "${this.getRouteSlug(window.location.pathname)}", base path "${this.getBasePath()}")`
+            });
+        }
+        
+        if (document.querySelectorAll('head title').length > 1) {
+            issues.push({ check: 'duplicate_title', severity: 'error', message: 'Page has more than one <title>' });
+        }
+        this.config.routes.forEach(route => {
+            if (route.page !== meta.page && route.seo && route.seo.title === document.title) {
+                issues.push({ check: 'duplicate_title', severity: 'error', message: `Title is the same as ${route.page}` });
+            }
+        });
+        
+        const description = document.querySelector('meta[name="description"]');
+        const descriptionLength = description ? description.content.trim().length : 0;
+        if (!descriptionLength) {
+            issues.push({ check: 'meta_description', severity: 'error', message: 'Meta description is missing' });
+        } else if (descriptionLength < seo.descriptionLength.min) {
+            issues.push({ check: 'meta_description', severity: 'warning', message: `Meta description is thin (${descriptionLength} characters, aim for ${seo.descriptionLength.min}+)` });
+        } else if (descriptionLength > seo.descriptionLength.max) {
+            issues.push({ check: 'meta_description', severity: 'warning', message: `Meta description will be truncated (${descriptionLength} characters, aim for at most ${seo.descriptionLength.max})` });
+        }
+        
+        // Internal links must lead to a registered page. "#" alone is the
+        // back-to-top idiom; any other fragment must resolve on this page.
+        document.querySelectorAll('a[href]').forEach(link => {
+            let url;
+            try {
+                url = new URL(link.getAttribute('href'), window.location.href);
+            } catch (error) {
+                return;
+            }
+            if (url.origin !== window.location.origin) return;
+            
+            const route = this.matchRoute(url.pathname);
+            if (route.page !== meta.page || route.page === 'unknown_page') {
+                if (route.page === 'unknown_page') {
+                    issues.push({
+                        check: 'broken_link',
+                        severity: 'warning',
+                        message: `Link points to ${url.pathname}, which is not a known page`,
+                        selector: this.getElementSelector(link)
+                    });
+                }
+                return;
+            }
+            
+            const id = this.decodePath(url.hash.slice(1));
+            if (id && !document.getElementById(id) && !document.getElementsByName(id).length) {
+                issues.push({
+                    check: 'broken_anchor',
+                    severity: 'error',
+                    message: `Link points to missing #${id}`,
+                    selector: this.getElementSelector(link)
+                });
+            }
+        });
+        
+        const report = {
+            page: meta.page,
+            url: meta.url,
+            errors: issues.filter(issue => issue.severity === 'error').length,
+            warnings: issues.filter(issue => issue.severity === 'warning').length,
+            issues
+        };
+        
+        if (this.config.debug) console.log('🔍 SEO audit:', report);
+        return report;
+    }
+
+    /**
+     * Generate JSON-LD from the page and config.site. Nodes a page already
+     * declares by hand (join.html's Organization) are completed in place
+     * rather than emitted twice; everything else goes into one @graph block.
+     */
+    setupStructuredData() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setupStructuredData(), { once: true });
+            return null;
+        }
+        
+        const generated = this.buildStructuredData();
+        const existing = this.getExistingStructuredData();
+        
+        const graph = generated.filter(node => {
+            const match = existing.find(item => item.node['@type'] === node['@type']);
+            if (!match) return true;
+            
+            // Fill gaps in the hand-written node; its own values win
+            Object.keys(node).forEach(key => {
+                const value = match.node[key];
+                if (value === undefined || value === '' || (Array.isArray(value) && !value.length)) {
+                    match.node[key] = node[key];
+                }
+            });
+            match.dirty = true;
+            return false;
+        });
+        
+        existing.filter(item => item.dirty).forEach(item => {
+            item.script.textContent = JSON.stringify(item.root, null, 4);
+        });
+        
+        let script = document.querySelector('script[data-mrd-structured-data]');
+        if (!graph.length) {
+            if (script) script.remove();
+            return [];
+        }
+        if (!script) {
+            script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.setAttribute('data-mrd-structured-data', '');
+            document.head.appendChild(script);
+        }
+        script.textContent = JSON.stringify({ '@context': 'https://schema.org', '@graph': graph });
+        
+        if (this.config.debug) console.log('🧩 Structured data generated:', graph.map(node => node['@type']));
+        return graph;
+    }
+
+    /**
+     * Hand-written JSON-LD nodes, each with the script and root object it came from
+     */
+    getExistingStructuredData() {
+        const items = [];
+        document.querySelectorAll('script[type="application/ld+json"]:not([data-mrd-structured-data])').forEach(script => {
+            let root;
+            try {
+                root = JSON.parse(script.textContent);
+            } catch (error) {
+                console.warn('⚠️ Ignoring invalid JSON-LD block:', error);
+                return;
+            }
+            [].concat(root).forEach(entry => {
+                [].concat(entry['@graph'] || entry).forEach(node => items.push({ script, root, node }));
+            });
+        });
+        return items;
+    }
+
+    buildStructuredData() {
+        const site = this.config.site;
+        const siteUrl = this.getSiteUrl();
+        const pageUrl = this.getRouteUrl(this.getCurrentRoute());
+        const person = this.buildFounderData(siteUrl);
+        
+        const nodes = [
+            {
+                '@type': 'Organization',
+                '@id': `${siteUrl}/#organization`,
+                name: site.name,
+                url: `${siteUrl}/`,
+                description: site.description,
+                logo: site.logo,
+                sameAs: site.sameAs,
+                founder: person ? { '@id': person['@id'] } : { '@type': 'Person', name: site.founder.name }
+            },
+            {
+                '@type': 'WebSite',
+                '@id': `${siteUrl}/#website`,
+                name: site.name,
+                url: `${siteUrl}/`,
+                publisher: { '@id': `${siteUrl}/#organization` }
+            }
+        ];
+        if (person) nodes.push(person);
+        
+        site.courses.forEach(courseName => {
+            const course = this.buildCourseData(courseName, siteUrl, pageUrl);
+            if (course) nodes.push(course);
+        });
+        
+        document.querySelectorAll('[data-video-id]').forEach(card => {
+            nodes.push(this.buildVideoData(card));
+        });
+        
+        const breadcrumbs = this.buildBreadcrumbData(siteUrl, pageUrl);
+        if (breadcrumbs) nodes.push(breadcrumbs);
+        
+        return nodes;
+    }
+
+    /**
+     * Person node, only on pages with the founder's bio (an image or heading naming them)
+     */
+    buildFounderData(siteUrl) {
+        const founder = this.config.site.founder;
+        const image = Array.from(document.querySelectorAll('img[alt]')).find(img => img.alt.trim() === founder.name);
+        const heading = this.findHeading(founder.name);
+        if (!image && !heading) return null;
+        
+        const section = (image || heading).closest('section, [class*="section"]');
+        const bio = section && Array.from(section.querySelectorAll('p'))
+            .map(p => p.textContent.trim())
+            .find(text => text.includes(founder.name.split(' ')[0]));
+        
+        return {
+            '@type': 'Person',
+            '@id': `${siteUrl}/#founder`,
+            name: founder.name,
+            jobTitle: founder.jobTitle,
+            image: image ? image.src : founder.image,
+            description: bio ? this.truncateText(bio, 300) : undefined,
+            worksFor: { '@id': `${siteUrl}/#organization` }
+        };
+    }
+
+    buildCourseData(courseName, siteUrl, pageUrl) {
+        const heading = this.findHeading(courseName);
+        if (!heading) return null;
+        
+        const container = heading.parentElement;
+        const description = container.querySelector('p');
+        const section = heading.closest('section, [class*="section"]');
+        const image = section && section.querySelector('img');
+        
+        return {
+            '@type': 'Course',
+            name: courseName,
+            description: description ? this.truncateText(description.textContent, 500) : undefined,
+            url: pageUrl,
+            image: image ? image.src : undefined,
+            provider: { '@id': `${siteUrl}/#organization` }
+        };
+    }
+
+    /**
+     * YouTube testimonial card. uploadDate is only known when the card has data-upload-date.
+     */
+    buildVideoData(card) {
+        const videoId = card.getAttribute('data-video-id');
+        const nameElement = card.querySelector('.client-name, h3');
+        const name = nameElement ? this.toTitleCase(nameElement.textContent.trim()) : '';
+        const thumbnail = card.querySelector('img');
+        
+        return {
+            '@type': 'VideoObject',
+            name: name ? `${name} - Student Testimonial` : 'Student Testimonial',
+            description: name
+                ? `${name} shares their experience with ${this.config.site.name}.`
+                : `A student shares their experience with ${this.config.site.name}.`,
+            thumbnailUrl: thumbnail ? thumbnail.src : `https://img.youtube.com/vi/${videoId}/hqdefault.jpg`,
+            embedUrl: `https://www.youtube.com/embed/${videoId}`,
+            contentUrl: `https://www.youtube.com/watch?v=${videoId}`,
+            uploadDate: card.getAttribute('data-upload-date') || undefined
+        };
+    }
+
+    buildBreadcrumbData(siteUrl, pageUrl) {
+        const home = this.getRoute('home_page');
+        const route = this.getCurrentRoute();
+        if (route === home || !route.label) return null;
+        
+        return {
+            '@type': 'BreadcrumbList',
+            itemListElement: [
+                { '@type': 'ListItem', position: 1, name: home.label, item: `${siteUrl}/` },
+                { '@type': 'ListItem', position: 2, name: route.label, item: pageUrl }
+            ]
+        };
+    }
+
+    findHeading(text) {
+        const wanted = text.trim().toLowerCase();
+        return Array.from(document.querySelectorAll('h1, h2, h3, h4'))
+            .find(heading => heading.textContent.trim().toLowerCase() === wanted) || null;
+    }
+
+    truncateText(text, maxLength) {
+        const clean = text.replace(/\s+/g, ' ').trim();
+        return clean.length > maxLength ? clean.slice(0, maxLength - 1).replace(/\s+\S*$/, '') + '…' : clean;
+    }
+
+    toTitleCase(text) {
+        return text.toLowerCase().replace(/(^|[\s&-])\S/g, match => match.toUpperCase());
+    }
+
+    /**
+     * Initialize responsive design management
+     */
+    initializeResponsiveDesign() {
+        this.setupIntersectionObserver();
+        this.setupResizeObserver();
+        this.optimizeImages();
+        
+        if (this.config.debug) {
+            console.log('📱 Responsive design management initialized');
+        }
+    }
+
+    /**
+     * Setup intersection observer for animations
+     */
+    setupIntersectionObserver() {
+        if ('IntersectionObserver' in window) {
+            this.intersectionObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        entry.target.classList.add('animate');
+                        this.trackEvent('element_visible', {
+                            element: entry.target.tagName,
+                            class: entry.target.className
+                        });
+                    }
+                });
+            }, {
+                threshold: 0.1,
+                rootMargin: '0px 0px -50px 0px'
+            });
+            
+            // Observe all animated elements
+            document.querySelectorAll('.fade-in, .slide-in-left, .slide-in-right, .scale-in').forEach(el => {
+                this.intersectionObserver.observe(el);
+            });
+        }
+    }
+
+    /**
+     * Setup resize observer for responsive behavior
+     */
+    setupResizeObserver() {
+        if ('ResizeObserver' in window) {
+            this.resizeObserver = new ResizeObserver((entries) => {
+                entries.forEach(entry => {
+                    this.handleElementResize(entry);
+                });
+            });
+            
+            // Observe main content areas
+            const mainContent = document.querySelector('.main-content, .cover-glass-container');
+            if (mainContent) {
+                this.resizeObserver.observe(mainContent);
+            }
+        }
+    }
+
+    /**
+     * Optimize images for performance. Loading attributes already in the
+     * markup are left alone; everything else is eager when above the fold.
+     */
+    optimizeImages() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.optimizeImages(), { once: true });
+            return;
+        }
+        
+        document.querySelectorAll('img').forEach(img => {
+            if (this.isAboveTheFold(img)) {
+                if (!img.hasAttribute('loading')) img.loading = 'eager';
+                if (!img.hasAttribute('fetchpriority')) img.setAttribute('fetchpriority', 'high');
+            } else if (!img.hasAttribute('loading')) {
+                img.loading = 'lazy';
+                if (!img.hasAttribute('decoding')) img.decoding = 'async';
+            }
+            
+            // A stopgap for images with no alt at all (alt="" marks decorative ones and is
+            // left alone). Marked with data-mrd-alt-filled so the audits still report them.
+            if (!img.hasAttribute('alt')) {
+                img.alt = 'MRD AI & Blockchain Consulting';
+                img.setAttribute('data-mrd-alt-filled', '');
+            }
+            
+            // Optimize srcset for responsive images
+            this.optimizeImageSrcset(img);
+        });
+        
+        if (!this.config.images.manifest && this.config.images.manifestUrl && !this.imageManifest) {
+            this.loadImageManifest();
+        }
+    }
+
+    isAboveTheFold(img) {
+        if (this.config.images.prioritySelectors.some(selector => img.matches(selector))) return true;
+        
+        // No box yet (hidden, or not laid out) says nothing about the fold, so stay lazy
+        const rect = img.getBoundingClientRect();
+        if (!rect.width && !rect.height) return false;
+        return rect.top < window.innerHeight && rect.bottom > 0;
+    }
+
+    /**
+     * Add a srcset from the image host, or from the manifest for local files.
+     * Hand-written srcsets are kept, and hosts we can't resize get none.
+     * Priority images are skipped: their src is already downloading by the
+     * time this runs, and a srcset would fetch them a second time. Give them
+     * a srcset in the markup instead.
+     */
+    optimizeImageSrcset(img) {
+        const src = img.getAttribute('src');
+        if (!src || img.hasAttribute('srcset') || img.getAttribute('fetchpriority') === 'high') return;
+        
+        const candidates = this.getImageCandidates(src);
+        if (!candidates.length) return;
+        
+        if (!img.hasAttribute('sizes')) {
+            img.sizes = this.getImageSizes(img);
+            img.setAttribute('data-mrd-sizes', 'auto');
+        }
+        img.srcset = candidates.map(candidate => `${candidate.src} ${candidate.width}w`).join(', ');
+    }
+
+    getImageCandidates(src) {
+        let url;
+        try {
+            url = new URL(src, window.location.href);
+        } catch (error) {
+            return [];
+        }
+        
+        if (url.hostname === 'res.cloudinary.com') return this.getCloudinaryCandidates(url);
+        if (url.hostname.endsWith('.googleusercontent.com')) return this.getGoogleImageCandidates(url);
+        if (url.origin === window.location.origin) return this.getManifestCandidates(url);
+        return [];
+    }
+
+    /**
+     * /<cloud>/image/upload/[transformations/]v123/id.jpg gets a
+     * w_<width>,c_limit,f_auto,q_auto step after any transformations already there
+     */
+    getCloudinaryCandidates(url) {
+        const match = url.pathname.match(/^(\/[^/]+\/image\/upload\/)(.+)$/);
+        if (!match) return [];
+        
+        const segments = match[2].split('/');
+        let index = 0;
+        while (index < segments.length - 1 && /^[a-z]{1,3}_/.test(segments[index])) {
+            index++;
+        }
+        
+        return this.config.images.widths.map(width => {
+            const path = segments.slice(0, index)
+                .concat(`w_${width},c_limit,f_auto,q_auto`, segments.slice(index))
+                .join('/');
+            return { src: `${url.origin}${match[1]}${path}${url.search}`, width };
+        });
+    }
+
+    /**
+     * lh3.googleusercontent.com takes the size after "=" (e.g. /d/<id>=w640)
+     */
+    getGoogleImageCandidates(url) {
+        const path = url.pathname.replace(/=[^/]*$/, '');
+        return this.config.images.widths.map(width => ({
+            src: `${url.origin}${path}=w${width}${url.search}`,
+            width
+        }));
+    }
+
+    getManifestCandidates(url) {
+        const manifest = this.config.images.manifest || this.imageManifest;
+        if (!manifest) return [];
+        
+        const basePath = this.getBasePath();
+        let path = this.decodePath(url.pathname);
+        if (path.startsWith(basePath)) path = path.slice(basePath.length);
+        
+        const base = window.location.origin + encodeURI(basePath);
+        return (manifest[path.replace(/^\/+/, '')] || []).map(variant => ({
+            src: new URL(variant.src, base).href,
+            width: variant.width
+        }));
+    }
+
+    async loadImageManifest() {
+        try {
+            const url = new URL(this.config.images.manifestUrl, window.location.origin + encodeURI(this.getBasePath()));
+            const res = await fetch(url.href);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            
+            this.imageManifest = await res.json();
+            document.querySelectorAll('img:not([srcset])').forEach(img => this.optimizeImageSrcset(img));
+        } catch (error) {
+            if (this.config.debug) console.warn('⚠️ Image manifest could not be loaded', error);
+        }
+    }
+
+    /**
+     * The rendered width is the best guess there is without per-image markup;
+     * handleResize() keeps it current
+     */
+    getImageSizes(img) {
+        const width = Math.ceil(img.getBoundingClientRect().width);
+        return width ? `${width}px` : '100vw';
+    }
+
+    /**
+     * Handle window resize (debounced)
+     */
+    handleResize() {
+        document.querySelectorAll('img[data-mrd-sizes="auto"]').forEach(img => {
+            img.sizes = this.getImageSizes(img);
+        });
+    }
+
+    /**
+     * Handle element resize
+     */
+    handleElementResize(entry) {
+        const element = entry.target;
+        const { width, height } = entry.contentRect;
+        
+        // Adjust layout based on size
+        if (width < 768) {
+            element.classList.add('mobile-layout');
+            element.classList.remove('desktop-layout');
+        } else {
+            element.classList.add('desktop-layout');
+            element.classList.remove('mobile-layout');
+        }
+        
+        // Track responsive breakpoint changes
+        this.trackEvent('breakpoint_change', {
+            width: width,
+            height: height,
+            breakpoint: width < 768 ? 'mobile' : width < 1024 ? 'tablet' : 'desktop'
+        });
+    }
+
+    /**
+     * Enhance accessibility
+     */
+    enhanceAccessibility() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.enhanceAccessibility(), { once: true });
+            return;
+        }
+        
+        // Add skip links
+        this.addSkipLinks();
+        
+        // Enhance keyboard navigation
+        this.enhanceKeyboardNavigation();
+        
+        // Add ARIA labels where needed
+        this.addARIALabels();
+        
+        // Ensure proper heading hierarchy
+        this.validateHeadingHierarchy();
+    }
+
+    /**
+     * Add skip links for accessibility
+     */
+    addSkipLinks() {
+        const target = this.getMainContent();
+        if (!target || document.querySelector('.skip-link')) return;
+        
+        if (!target.id) target.id = 'main-content';
+        // Focusable so the next Tab continues from the content, not from the top of the page
+        if (!target.hasAttribute('tabindex')) target.setAttribute('tabindex', '-1');
+        
+        const skipLink = document.createElement('a');
+        skipLink.href = `#${target.id}`;
+        skipLink.className = 'skip-link';
+        skipLink.textContent = 'Skip to main content';
+        skipLink.style.cssText = `
+            position: absolute;
+            top: -40px;
+            left: 6px;
+            background: #000;
+            color: #fff;
+            padding: 8px;
+            text-decoration: none;
+            z-index: 10000;
+            transition: top 0.3s;
+        `;
+        
+        skipLink.addEventListener('focus', () => {
+            skipLink.style.top = '6px';
+        });
+        
+        skipLink.addEventListener('blur', () => {
+            skipLink.style.top = '-40px';
+        });
+        
+        // The pages' smooth-scroll handler cancels the jump for "#" links, so move focus here
+        skipLink.addEventListener('click', () => target.focus({ preventScroll: true }));
+        
+        document.body.insertBefore(skipLink, document.body.firstChild);
+    }
+
+    getMainContent() {
+        return document.getElementById('main-content') ||
+            document.querySelector('main, [role="main"], .main-content, .cover-glass-container');
+    }
+
+    /**
+     * The nav toggle and the courses accordion are click-only divs; make them
+     * reachable and operable from the keyboard, and announce their state
+     */
+    enhanceKeyboardNavigation() {
+        const navToggle = document.getElementById('nav-toggle');
+        const navMenu = document.getElementById('nav-menu');
+        if (navToggle && navMenu && !navToggle.hasAttribute('aria-controls')) {
+            if (!this.getAccessibleName(navToggle)) navToggle.setAttribute('aria-label', 'Menu');
+            this.makeDisclosure(navToggle, navMenu, navToggle);
+            
+            // Escape closes the open menu and hands focus back to the toggle
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && navToggle.classList.contains('active')) {
+                    navToggle.click();
+                    navToggle.focus();
+                }
+            });
+        }
+        
+        document.querySelectorAll('.accordion-item').forEach(item => {
+            const header = item.querySelector('.accordion-header');
+            const content = item.querySelector('.accordion-content');
+            if (header && content && !header.hasAttribute('aria-controls')) {
+                this.makeDisclosure(header, content, item);
+            }
+        });
+    }
+
+    /**
+     * Turn a clickable element into a disclosure button. The pages' own
+     * scripts still open and close it; aria-expanded follows the "active"
+     * class they toggle on stateElement.
+     */
+    makeDisclosure(control, panel, stateElement) {
+        if (!/^(BUTTON|A)$/.test(control.tagName)) {
+            control.setAttribute('role', 'button');
+            if (!control.hasAttribute('tabindex')) control.setAttribute('tabindex', '0');
+            control.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    control.click();
+                }
+            });
+        }
+        
+        if (!panel.id) {
+            let index = 1;
+            while (document.getElementById(`mrd-panel-${index}`)) index++;
+            panel.id = `mrd-panel-${index}`;
+        }
+        control.setAttribute('aria-controls', panel.id);
+        
+        const sync = () => control.setAttribute('aria-expanded', String(stateElement.classList.contains('active')));
+        sync();
+        new MutationObserver(sync).observe(stateElement, { attributes: true, attributeFilter: ['class'] });
+    }
+
+    /**
+     * Give controls that have no accessible name one from what the page
+     * does show. Placeholders vanish as soon as someone types, so they become
+     * an aria-label rather than counting as a name. Marked with
+     * data-mrd-a11y-label so auditA11y() still reports them.
+     */
+    addARIALabels() {
+        document.querySelectorAll('input, select, textarea, button, a[href], iframe, [role="button"]').forEach(element => {
+            if (!this.needsAccessibleName(element) || this.getAccessibleName(element)) return;
+            
+            const label = this.suggestAccessibleName(element);
+            if (!label) return;
+            
+            element.setAttribute(element.tagName === 'IFRAME' ? 'title' : 'aria-label', label);
+            element.setAttribute('data-mrd-a11y-label', '');
+        });
+    }
+
+    needsAccessibleName(element) {
+        if (element.closest('[aria-hidden="true"]')) return false;
+        return !(element.tagName === 'INPUT' && element.type === 'hidden');
+    }
+
+    /**
+     * A simplified accessible name computation: aria-labelledby, aria-label,
+     * <label>, then the content (with image alts) or title
+     */
+    getAccessibleName(element) {
+        const labelledBy = (element.getAttribute('aria-labelledby') || '').split(/\s+/)
+            .map(id => document.getElementById(id))
+            .filter(Boolean)
+            .map(label => this.getContentText(label))
+            .join(' ')
+            .trim();
+        if (labelledBy) return labelledBy;
+        
+        const ariaLabel = (element.getAttribute('aria-label') || '').trim();
+        if (ariaLabel) return ariaLabel;
+        
+        const tag = element.tagName;
+        if (/^(INPUT|SELECT|TEXTAREA)$/.test(tag)) {
+            const labelText = Array.from(element.labels || []).map(label => this.getContentText(label)).join(' ').trim();
+            if (labelText) return labelText;
+            if (tag === 'INPUT' && /^(submit|reset|button)$/.test(element.type)) {
+                return (element.value || (element.type === 'button' ? '' : element.type)).trim();
+            }
+            if (tag === 'INPUT' && element.type === 'image') return (element.alt || '').trim();
+        } else if (tag !== 'IFRAME') {
+            const text = this.getContentText(element);
+            if (text) return text;
+        }
+        return (element.getAttribute('title') || '').trim();
+    }
+
+    getContentText(element) {
+        return Array.from(element.childNodes).map(node => {
+            if (node.nodeType === 3) return node.textContent;
+            if (node.nodeType !== 1 || node.getAttribute('aria-hidden') === 'true') return '';
+            if (node.tagName === 'IMG') return node.getAttribute('alt') || '';
+            return node.getAttribute('aria-label') || this.getContentText(node);
+        }).join(' ').replace(/\s+/g, ' ').trim();
+    }
+
+    suggestAccessibleName(element) {
+        if (/^(INPUT|SELECT|TEXTAREA)$/.test(element.tagName)) {
+            const source = element.getAttribute('placeholder') || element.name || element.id || '';
+            return source.replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim().replace(/^\w/, letter => letter.toUpperCase());
+        }
+        
+        const href = element.getAttribute('href') || element.getAttribute('src') || '';
+        if (/^mailto:/i.test(href)) return 'Email us';
+        if (/^tel:/i.test(href)) return 'Call us';
+        
+        let url;
+        try {
+            url = new URL(href, window.location.href);
+        } catch (error) {
+            return '';
+        }
+        if (!/^https?:$/.test(url.protocol) || url.origin === window.location.origin) return '';
+        
+        // Social and video links: the site's name is the best label there is
+        const host = url.hostname.replace(/^(www|m)\./, '').replace(/-nocookie/, '');
+        const name = host.split('.')[0];
+        const site = name === 'youtube' || name === 'youtu' ? 'YouTube' : this.toTitleCase(name);
+        return element.tagName === 'IFRAME' ? `${site} video` : site;
+    }
+
+    /**
+     * WCAG-style accessibility audit of the current page, e.g. MRDBrain.auditA11y()
+     * from the console. Impact levels follow axe-core: critical, serious, moderate, minor.
+     */
+    auditA11y() {
+        const rules = {
+            image_alt: { wcag: '1.1.1', level: 'A', impact: 'critical' },
+            form_label: { wcag: '4.1.2', level: 'A', impact: 'critical' },
+            button_name: { wcag: '4.1.2', level: 'A', impact: 'critical' },
+            link_name: { wcag: '2.4.4', level: 'A', impact: 'serious' },
+            frame_title: { wcag: '4.1.2', level: 'A', impact: 'serious' },
+            runtime_label: { wcag: '4.1.2', level: 'A', impact: 'minor' },
+            keyboard: { wcag: '2.1.1', level: 'A', impact: 'serious' },
+            aria_expanded: { wcag: '4.1.2', level: 'A', impact: 'serious' },
+            aria_controls: { wcag: '4.1.2', level: 'A', impact: 'moderate' },
+            bypass: { wcag: '2.4.1', level: 'A', impact: 'serious' },
+            document_title: { wcag: '2.4.2', level: 'A', impact: 'serious' },
+            html_lang: { wcag: '3.1.1', level: 'A', impact: 'serious' },
+            heading_order: { wcag: '1.3.1', level: 'A', impact: 'moderate' },
+            media_autoplay: { wcag: '2.2.2', level: 'A', impact: 'moderate' }
+        };
+        const violations = [];
+        // target is an element or an already computed selector
+        const report = (rule, message, target) => {
+            const selector = target && target.nodeType ? this.getElementSelector(target) : target;
+            violations.push({ rule, ...rules[rule], message, selector });
+        };
+        
+        document.querySelectorAll('img:not([alt]), img[data-mrd-alt-filled]').forEach(img => {
+            if (img.closest('[aria-hidden="true"]')) return;
+            report('image_alt', img.hasAttribute('alt')
+                ? 'Image has only the generic alt text added by script; describe it in the markup'
+                : 'Image has no alt attribute', img);
+        });
+        
+        document.querySelectorAll('input, select, textarea, button, a[href], iframe, [role="button"]').forEach(element => {
+            if (!this.needsAccessibleName(element)) return;
+            
+            const isButton = element.tagName === 'BUTTON' || element.getAttribute('role') === 'button' ||
+                (element.tagName === 'INPUT' && /^(submit|reset|button|image)$/.test(element.type));
+            const rule = isButton ? 'button_name'
+                : element.tagName === 'A' ? 'link_name'
+                : element.tagName === 'IFRAME' ? 'frame_title'
+                : 'form_label';
+            
+            if (!this.getAccessibleName(element)) {
+                report(rule, `${element.tagName.toLowerCase()} has no accessible name`, element);
+            } else if (element.hasAttribute('data-mrd-a11y-label')) {
+                report('runtime_label', `Name "${this.getAccessibleName(element)}" was added by script; put it in the markup`, element);
+            }
+        });
+        
+        // Click handlers on elements that can't take focus
+        document.querySelectorAll('[onclick], [role="button"], .nav-toggle, .accordion-header').forEach(element => {
+            if (element.tabIndex < 0 && !element.closest('[aria-hidden="true"]')) {
+                report('keyboard', 'Clickable element cannot be reached with the keyboard', element);
+            }
+        });
+        
+        document.querySelectorAll('.nav-toggle, .accordion-header').forEach(element => {
+            if (!element.hasAttribute('aria-expanded')) {
+                report('aria_expanded', 'Toggle does not expose aria-expanded', element);
+            }
+        });
+        document.querySelectorAll('[aria-controls]').forEach(element => {
+            const missing = element.getAttribute('aria-controls').split(/\s+/).filter(id => id && !document.getElementById(id));
+            if (missing.length) report('aria_controls', `aria-controls points to missing #${missing.join(', #')}`, element);
+        });
+        
+        const skipLink = document.querySelector('.skip-link');
+        const skipTarget = skipLink && document.getElementById(this.decodePath(skipLink.hash.slice(1)));
+        if (!skipTarget && !document.querySelector('main, [role="main"]')) {
+            report('bypass', 'No skip link target or main landmark to bypass the navigation', skipLink);
+        }
+        
+        if (!document.title.trim()) report('document_title', 'Page has no title');
+        if (!document.documentElement.getAttribute('lang')) report('html_lang', '<html> has no lang attribute');
+        
+        this.validateHeadingHierarchy().forEach(issue => {
+            report('heading_order', issue.message, issue.selector);
+        });
+        
+        document.querySelectorAll('video[autoplay]').forEach(video => {
+            if (video.loop && !video.controls) report('media_autoplay', 'Looping video plays automatically with no way to pause it', video);
+        });
+        
+        const route = this.getCurrentRoute();
+        const result = {
+            page: route.page,
+            url: this.getRouteUrl(route),
+            violations,
+            summary: ['critical', 'serious', 'moderate', 'minor'].reduce((summary, impact) => {
+                summary[impact] = violations.filter(violation => violation.impact === impact).length;
+                return summary;
+            }, {})
+        };
+        
+        if (this.config.debug) console.log('♿ Accessibility audit:', result);
+        return result;
+    }
+
+    /**
+     * Session management
+     */
+    /**
+     * Sessions live in localStorage, so navigating index → courses → join
+     * continues one session. A stored session is resumed unless it has been
+     * idle for sessionTimeout or crossed midnight, in which case it is closed
+     * and a new one starts.
+     */
+    startSessionTracking() {
+        if (this.currentSession || !this.hasConsent('analytics')) return;
+        
+        const now = Date.now();
+        const page = this.getCurrentPage();
+        const stored = this.getLocalData('current_session');
+        
+        if (stored && stored.id && !this.isSessionExpired(stored, now)) {
+            this.currentSession = {
+                ...stored,
+                exitPage: page,
+                pageCount: (stored.pageCount || 0) + 1,
+                lastActivityAt: now
+            };
+            this.saveLocalData('current_session', this.currentSession);
+        } else {
+            if (stored && stored.id) this.closeStoredSession(stored, now);
+            
+            const visitor = this.getVisitor();
+            visitor.sessionCount += 1;
+            this.saveLocalData('visitor', visitor);
+            
+            this.currentSession = {
+                id: this.generateSessionId(),
+                visitorId: visitor.id,
+                number: visitor.sessionCount,
+                startTime: new Date(now).toISOString(),
+                lastActivityAt: now,
+                landingPage: page,
+                exitPage: page,
+                pageCount: 1,
+                page: page,
+                userAgent: navigator.userAgent,
+                viewport: {
+                    width: window.innerWidth,
+                    height: window.innerHeight
+                }
+            };
+            
+            this.saveLocalData('current_session', this.currentSession);
+            this.trackEvent('session_start', this.currentSession);
+            this.emit('session_start', this.currentSession);
+        }
+        
+        this.bindSessionActivity();
+        this.scheduleSessionExpiry();
+    }
+
+    /**
+     * The anonymous visitor id, created on first use. Only exists with analytics consent.
+     */
+    getVisitor() {
+        const visitor = this.getLocalData('visitor');
+        if (visitor && visitor.id) return visitor;
+        
+        return {
+            id: 'visitor_' + (window.crypto && window.crypto.randomUUID
+                ? window.crypto.randomUUID()
+                : Date.now() + '_' + Math.random().toString(36).substr(2, 12)),
+            createdAt: new Date().toISOString(),
+            sessionCount: 0
+        };
+    }
+
+    isSessionExpired(session, now = Date.now()) {
+        return this.getSessionExpiryReason(session, now) !== null;
+    }
+
+    /**
+     * 'timeout', 'midnight', or null while the session is still live
+     */
+    getSessionExpiryReason(session, now = Date.now()) {
+        const lastActivityAt = session.lastActivityAt || new Date(session.startTime).getTime();
+        if (now - lastActivityAt >= this.config.sessionTimeout) return 'timeout';
+        if (new Date(lastActivityAt).toDateString() !== new Date(now).toDateString()) return 'midnight';
+        return null;
+    }
+
+    bindSessionActivity() {
+        if (this.sessionActivityBound) return;
+        this.sessionActivityBound = true;
+        
+        const onActivity = this.throttle(() => this.touchSession(), 5000);
+        ['click', 'keydown', 'scroll', 'pointerdown', 'touchstart'].forEach(type => {
+            document.addEventListener(type, onActivity, { passive: true, capture: true });
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.touchSession();
+        });
+    }
+
+    /**
+     * Renew the session on activity. Another tab may have renewed or replaced
+     * it meanwhile, so storage is re-read first.
+     */
+    touchSession() {
+        if (!this.hasConsent('analytics')) return;
+        
+        const now = Date.now();
+        const stored = this.getLocalData('current_session');
+        
+        if (!this.currentSession || !stored || this.isSessionExpired(stored, now)) {
+            // Idle past the timeout (or midnight): this activity begins a new session
+            this.endSession();
+            this.startSessionTracking();
+            return;
         }
+        
+        this.currentSession = { ...stored, lastActivityAt: now };
+        this.saveLocalData('current_session', this.currentSession);
+        this.scheduleSessionExpiry();
+    }
+
+    scheduleSessionExpiry() {
+        clearTimeout(this.sessionTimer);
+        if (!this.currentSession) return;
+        
+        const midnight = new Date();
+        midnight.setHours(24, 0, 0, 0);
+        const expiresAt = Math.min(this.currentSession.lastActivityAt + this.config.sessionTimeout, midnight.getTime());
+        
+        this.sessionTimer = setTimeout(() => {
+            const stored = this.getLocalData('current_session');
+            if (stored && stored.id === this.currentSession.id && !this.isSessionExpired(stored)) {
+                // Kept alive from another tab
+                this.currentSession = stored;
+                this.scheduleSessionExpiry();
+            } else {
+                this.endSession();
+            }
+        }, Math.max(expiresAt - Date.now(), 1000));
+    }
+
+    /**
+     * End current session
+     */
+    endSession(reason = null) {
+        clearTimeout(this.sessionTimer);
+        if (!this.currentSession) return;
+        
+        const stored = this.getLocalData('current_session');
+        const session = stored && stored.id === this.currentSession.id ? stored : this.currentSession;
+        this.currentSession = null;
+        
+        // Another tab has already started the next session
+        if (stored && stored.id !== session.id) return;
+        
+        this.closeStoredSession(session, Date.now(), reason);
+    }
+
+    /**
+     * Record a finished session. It ended at its last activity, not when we noticed.
+     */
+    closeStoredSession(session, now, reason) {
+        const endTime = Math.min(session.lastActivityAt || now, now);
+        const completed = {
+            ...session,
+            endTime: new Date(endTime).toISOString(),
+            duration: Math.max(endTime - new Date(session.startTime).getTime(), 0),
+            endReason: reason || this.getSessionExpiryReason(session, now) || 'ended'
+        };
+        
+        this.removeLocalData('current_session');
+        this.trackEvent('session_end', completed, this.getSessionContext(completed));
+        this.emit('session_end', completed);
+        
+        const completedSessions = this.getLocalData('completed_sessions');
+        const history = Array.isArray(completedSessions) ? completedSessions : [];
+        history.push(completed);
+        this.saveLocalData('completed_sessions', history.slice(-20));
     }
 
     /**
-     * Optimize images for performance
+     * Session fields stamped on every event and form submission
      */
-    optimizeImages() {
-        const images = document.querySelectorAll('img');
-        images.forEach(img => {
-            // Add loading="lazy" for images below the fold
-            if (!img.hasAttribute('loading')) {
-                img.loading = 'lazy';
-            }
-            
-            // Add alt text if missing
-            if (!img.alt) {
-                img.alt = 'MRD AI & Blockchain Consulting';
-            }
-            
-            // Optimize srcset for responsive images
-            this.optimizeImageSrcset(img);
-        });
+    getSessionContext(session = this.currentSession) {
+        return {
+            session_id: session ? session.id : 'no_session',
+            visitor_id: session ? session.visitorId : null,
+            session_number: session ? session.number : null,
+            landing_page: session ? session.landingPage : null,
+            page_count: session ? session.pageCount : null
+        };
     }
 
     /**
-     * Optimize image srcset for responsive design
+     * Utility methods
      */
-    optimizeImageSrcset(img) {
-        if (img.src && !img.srcset) {
-            const baseUrl = img.src;
-            const extension = baseUrl.split('.').pop();
-            const baseName = baseUrl.replace(`.${extension}`, '');
-            
-            // Create responsive srcset for common breakpoints
-            const breakpoints = [
-                { width: 320, suffix: '_sm' },
-                { width: 768, suffix: '_md' },
-                { width: 1024, suffix: '_lg' },
-                { width: 1440, suffix: '_xl' }
-            ];
-            
-            const srcset = breakpoints.map(bp => 
-                `${baseName}${bp.suffix}.${extension} ${bp.width}w`
-            ).join(', ');
-            
-            img.srcset = srcset;
-            img.sizes = '(max-width: 320px) 320px, (max-width: 768px) 768px, (max-width: 1024px) 1024px, 1440px';
-        }
+    getCurrentPage() {
+        return this.getCurrentRoute().page;
     }
 
     /**
-     * Handle element resize
+     * Route for the current URL, plus the #section being viewed (or null)
      */
-    handleElementResize(entry) {
-        const element = entry.target;
-        const { width, height } = entry.contentRect;
-        
-        // Adjust layout based on size
-        if (width < 768) {
-            element.classList.add('mobile-layout');
-            element.classList.remove('desktop-layout');
-        } else {
-            element.classList.add('desktop-layout');
-            element.classList.remove('mobile-layout');
-        }
-        
-        // Track responsive breakpoint changes
-        this.trackEvent('breakpoint_change', {
-            width: width,
-            height: height,
-            breakpoint: width < 768 ? 'mobile' : width < 1024 ? 'tablet' : 'desktop'
-        });
+    getCurrentRoute() {
+        const section = this.decodePath(window.location.hash.slice(1)) || null;
+        return Object.assign({ section }, this.matchRoute(window.location.pathname));
     }
 
     /**
-     * Enhance accessibility
+     * Route for a pathname; pages outside config.routes get an unknown_page route
      */
-    enhanceAccessibility() {
-        // Add skip links
-        this.addSkipLinks();
-        
-        // Enhance keyboard navigation
-        this.enhanceKeyboardNavigation();
-        
-        // Add ARIA labels where needed
-        this.addARIALabels();
-        
-        // Ensure proper heading hierarchy
-        this.validateHeadingHierarchy();
+    matchRoute(pathname) {
+        const slug = this.getRouteSlug(pathname);
+        return this.config.routes.find(route => route.pattern.test(slug)) || {
+            page: 'unknown_page',
+            pattern: null,
+            path: null,
+            label: null,
+            group: 'other',
+            category: 'other',
+            seo: null
+        };
+    }
+
+    getRoute(page) {
+        return this.config.routes.find(route => route.page === page) || null;
     }
 
     /**
-     * Add skip links for accessibility
+     * "/site/learn.html", "/site/learn/" and "/site/learn" all become "learn";
+     * the site root and any ".../index.html" become ""
      */
-    addSkipLinks() {
-        if (!document.querySelector('.skip-link')) {
-            const skipLink = document.createElement('a');
-            skipLink.href = '#main-content';
-            skipLink.className = 'skip-link';
-            skipLink.textContent = 'Skip to main content';
-            skipLink.style.cssText = `
-                position: absolute;
-                top: -40px;
-                left: 6px;
-                background: #000;
-                color: #fff;
-                padding: 8px;
-                text-decoration: none;
-                z-index: 10000;
-                transition: top 0.3s;
-            `;
-            
-            skipLink.addEventListener('focus', () => {
-                skipLink.style.top = '6px';
-            });
-            
-            skipLink.addEventListener('blur', () => {
-                skipLink.style.top = '-40px';
-            });
-            
-            document.body.insertBefore(skipLink, document.body.firstChild);
+    getRouteSlug(pathname) {
+        const basePath = this.getBasePath();
+        let path = this.decodePath(pathname);
+        if (path.startsWith(basePath)) {
+            path = path.slice(basePath.length);
+        } else if (path + '/' === basePath) {
+            path = '';
         }
+        return path
+            .replace(/^\/+|\/+$/g, '')
+            .replace(/\.html?$/i, '')
+            .replace(/(^|\/)index$/i, '')
+            .replace(/\/+$/, '')
+            .toLowerCase();
     }
 
     /**
-     * Session management
+     * Folder the site is served from, decoded like the paths it is compared
+     * with ("/Website MRD/", not "/Website%20MRD/"). encodeURI() it to build a URL.
      */
-    startSessionTracking() {
-        this.currentSession = {
-            id: this.generateSessionId(),
-            startTime: new Date().toISOString(),
-            page: this.getCurrentPage(),
-            userAgent: navigator.userAgent,
-            viewport: {
-                width: window.innerWidth,
-                height: window.innerHeight
+    getBasePath() {
+        if (!this.basePath) {
+            let basePath = this.config.basePath;
+            if (!basePath && this.scriptSrc) {
+                basePath = new URL(this.scriptSrc, window.location.href).pathname.replace(/[^/]*$/, '');
             }
-        };
-        
-        this.saveLocalData('current_session', this.currentSession);
-        this.trackEvent('session_start', this.currentSession);
-        
-        // Session timeout
-        setTimeout(() => {
-            this.endSession();
-        }, this.config.sessionTimeout);
+            const trimmed = this.decodePath(basePath || '').replace(/^\/+|\/+$/g, '');
+            this.basePath = trimmed ? `/${trimmed}/` : '/';
+        }
+        return this.basePath;
     }
 
     /**
-     * End current session
+     * decodeURIComponent that returns malformed input (e.g. "#%E0%A4%A") unchanged instead of throwing
      */
-    endSession() {
-        if (this.currentSession) {
-            this.currentSession.endTime = new Date().toISOString();
-            this.currentSession.duration = new Date(this.currentSession.endTime) - new Date(this.currentSession.startTime);
-            
-            this.trackEvent('session_end', this.currentSession);
-            this.saveLocalData('completed_sessions', this.currentSession);
-            
-            this.currentSession = null;
+    decodePath(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (error) {
+            return value;
         }
     }
 
     /**
-     * Utility methods
+     * Canonical URL of a route; unknown pages keep their own path, minus query and hash
      */
-    getCurrentPage() {
-        const path = window.location.pathname;
-        if (path === '/' || path === '/index.html') return 'home_page';
-        if (path.includes('courses')) return 'courses_page';
-        if (path.includes('learn')) return 'learn_page';
-        if (path.includes('contact')) return 'contact_page';
-        if (path.includes('join')) return 'join_page';
-        if (path.includes('cryptocurrency')) return 'cryptocurrency_page';
-        return 'unknown_page';
+    getRouteUrl(route) {
+        if (route.path === null || route.path === undefined) {
+            return window.location.origin + window.location.pathname;
+        }
+        return `${this.getSiteUrl()}/${route.path}`;
     }
 
     getCurrentSessionId() {
@@ -775,6 +4235,10 @@ class MRDBrainSystem {
     getElementInfo(element) {
         if (!element) return {};
         
+        if (element.closest && element.closest(`[${this.config.redaction.privateAttribute}]`)) {
+            return { tag: element.tagName, private: true };
+        }
+        
         return {
             tag: element.tagName,
             id: element.id || '',
@@ -784,6 +4248,16 @@ class MRDBrainSystem {
         };
     }
 
+    throttle(func, wait) {
+        let last = 0;
+        return function executedFunction(...args) {
+            const now = Date.now();
+            if (now - last < wait) return;
+            last = now;
+            func(...args);
+        };
+    }
+
     debounce(func, wait) {
         let timeout;
         return function executedFunction(...args) {
@@ -816,11 +4290,42 @@ class MRDBrainSystem {
         }
     }
 
+    removeLocalData(key) {
+        try {
+            localStorage.removeItem(this.config.localStoragePrefix + key);
+        } catch (error) {
+            console.warn('⚠️ Failed to remove from localStorage:', error);
+        }
+    }
+
+    /**
+     * Run an event through the shared redaction pipeline. Without the
+     * pipeline nothing is passed on rather than risking raw PII.
+     */
+    redactEventData(data) {
+        if (typeof MRDRedaction === 'undefined') {
+            console.warn('⚠️ mrd-redaction.js not loaded, dropping telemetry');
+            return null;
+        }
+        
+        if (!this.redactionOptions) {
+            const { stripQueryParams, extraRules } = this.config.redaction;
+            this.redactionOptions = MRDRedaction.getOptions({
+                stripQueryParams: stripQueryParams || undefined,
+                extraRules
+            });
+        }
+        return MRDRedaction.redactEvent(data, this.redactionOptions);
+    }
+
     saveAnalyticsData(key, data) {
         try {
+            const safeData = this.redactEventData(data);
+            if (!safeData) return;
+            
             const analytics = this.getLocalData('analytics') || {};
             if (!analytics[key]) analytics[key] = [];
-            analytics[key].push(data);
+            analytics[key].push(safeData);
             
             // Keep only last 1000 entries per category
             if (analytics[key].length > 1000) {
@@ -833,7 +4338,17 @@ class MRDBrainSystem {
         }
     }
 
-    trackEvent(eventType, data) {
+    trackEvent(eventType, data, sessionContext = null) {
+        if (!this.isPluginActive('analytics')) return;
+        // Vitals and other performance events only need performance consent
+        if (!this.hasConsent(this.getEventConsentCategory(eventType))) return;
+        
+        // Before sampling, so a goal never depends on which events happen to be kept
+        if (this.hasConsent('analytics')) this.evaluateConversions(eventType, data);
+        
+        const sampleRate = this.sampleEvent(eventType);
+        if (!sampleRate) return;
+        
         const eventData = {
             type: eventType,
             timestamp: new Date().toISOString(),
@@ -842,13 +4357,17 @@ class MRDBrainSystem {
             user_agent: navigator.userAgent,
             screen_size: `${window.screen.width}x${window.screen.height}`,
             referrer: document.referrer,
+            sample_rate: sampleRate,
+            ...(sessionContext || this.getSessionContext()),
+            timezone: this.getTimezone(),
+            // Minutes east of UTC, e.g. 120 for Johannesburg
+            tz_offset: -new Date().getTimezoneOffset(),
             data: data
         };
         
         this.saveAnalyticsData('events', eventData);
-        
-        // Send to analytics webhook in real-time
-        this.sendAnalyticsToWebhook(eventData);
+        this.enqueueAnalyticsEvent(eventData);
+        this.emit('event_tracked', eventData);
         
         if (this.config.debug) {
             console.log('📊 Event tracked:', eventData);
@@ -856,39 +4375,277 @@ class MRDBrainSystem {
     }
 
     /**
-     * Send analytics data to webhook
+     * Decide whether an event is kept. Returns the sample rate it was kept
+     * at (so the webhook can re-weight counts) or 0 when it is dropped.
+     */
+    sampleEvent(eventType) {
+        const sampling = this.config.eventSampling;
+        const rule = { ...sampling.default, ...(sampling[eventType] || {}) };
+        const count = this.eventCounts[eventType] || 0;
+        
+        if (rule.maxPerPage !== undefined && count >= rule.maxPerPage) return 0;
+        if (rule.rate < 1 && Math.random() >= rule.rate) return 0;
+        
+        this.eventCounts[eventType] = count + 1;
+        return rule.rate;
+    }
+
+    /**
+     * Queue an event and flush once the batch is full or the flush timer fires
+     */
+    enqueueAnalyticsEvent(eventData) {
+        const { maxBatchSize, maxQueueSize, flushIntervalMs } = this.config.analyticsTransport;
+        
+        this.analyticsQueue.push(eventData);
+        if (this.analyticsQueue.length > maxQueueSize) {
+            this.analyticsQueue.splice(0, this.analyticsQueue.length - maxQueueSize);
+        }
+        
+        // While the webhook is failing, only the backoff timer flushes
+        if (this.analyticsQueue.length >= maxBatchSize && !this.analyticsFailures) {
+            this.flushAnalyticsQueue();
+        } else if (!this.analyticsFlushTimer) {
+            this.analyticsFlushTimer = setTimeout(() => this.flushAnalyticsQueue(), flushIntervalMs);
+        }
+    }
+
+    /**
+     * Send everything queued. While the page is being hidden or unloaded
+     * fetch may be cancelled, so sendBeacon is used instead.
+     */
+    flushAnalyticsQueue(useBeacon = false) {
+        clearTimeout(this.analyticsFlushTimer);
+        this.analyticsFlushTimer = null;
+        
+        const { maxBatchSize } = this.config.analyticsTransport;
+        while (this.analyticsQueue.length) {
+            this.sendAnalyticsToWebhook(this.analyticsQueue.splice(0, maxBatchSize), useBeacon);
+        }
+    }
+
+    /**
+     * Flush on page hide/unload. The timer for regular flushes is started on demand.
+     */
+    setupAnalyticsTracking() {
+        if (this.analyticsTransportReady) return;
+        this.analyticsTransportReady = true;
+        
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flushAnalyticsQueue(true);
+        });
+        window.addEventListener('pagehide', () => this.flushAnalyticsQueue(true));
+    }
+
+    /**
+     * Send a batch of analytics events to the webhook
      */
-    async sendAnalyticsToWebhook(eventData) {
-        if (!this.config.analyticsWebhookUrl) return;
+    async sendAnalyticsToWebhook(events, useBeacon = false) {
+        if (!this.config.analyticsWebhookUrl || !events.length) return;
+        
+        const safeEvents = events
+            .filter(eventData => this.hasConsent(this.getEventConsentCategory(eventData.type)))
+            .map(eventData => this.redactEventData(eventData))
+            .filter(Boolean);
+        if (!safeEvents.length) return;
         
         try {
-            await fetch(this.config.analyticsWebhookUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
+            // Signed synchronously, so on page hide the beacon leaves before the document is gone
+            const body = this.signWebhookPayload({
+                type: 'mrd_analytics_batch',
+                sent_at: new Date().toISOString(),
+                events: safeEvents.map(eventData => ({
                     event_type: eventData.type,
                     session_id: eventData.session_id,
+                    visitor_id: eventData.visitor_id,
+                    session_number: eventData.session_number,
+                    landing_page: eventData.landing_page,
+                    page_count: eventData.page_count,
                     page: eventData.page,
                     user_agent: eventData.user_agent,
                     screen_size: eventData.screen_size,
                     referrer: eventData.referrer,
+                    sample_rate: eventData.sample_rate,
+                    timezone: eventData.timezone,
+                    tz_offset: eventData.tz_offset,
                     event_data: eventData.data,
                     timestamp: eventData.timestamp
-                }),
-                mode: 'cors'
+                }))
+            });
+            
+            // text/plain keeps this a simple request: Apps Script cannot answer a CORS preflight
+            if (useBeacon && navigator.sendBeacon) {
+                const blob = new Blob([body], { type: 'text/plain;charset=utf-8' });
+                if (navigator.sendBeacon(this.config.analyticsWebhookUrl, blob)) {
+                    this.emit('batch_sent', { kind: 'analytics', count: safeEvents.length });
+                    return;
+                }
+            }
+            
+            const res = await fetch(this.config.analyticsWebhookUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+                body,
+                mode: 'cors',
+                keepalive: useBeacon
             });
             
-            if (this.config.debug) console.log('📊 Analytics sent to webhook');
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            
+            const result = await res.json().catch(() => null);
+            if (this.adoptServerClock(result)) throw new Error('Clock skew, re-signing with the server time');
+            // Schema failures are not retried: the valid events were written and the webhook
+            // says which fields were wrong. Any other refusal goes back into the queue.
+            if (result && result.invalidEvents) {
+                if (this.config.debug) console.warn('⚠️ Webhook rejected analytics events:', result.invalidEvents);
+            } else if (result && result.success === false) {
+                throw new Error(result.reason || result.error || 'Analytics batch refused');
+            }
+            
+            this.analyticsFailures = 0;
+            this.emit('batch_sent', { kind: 'analytics', count: safeEvents.length });
+            if (this.config.debug) console.log(`📊 ${events.length} analytics events sent to webhook`);
         } catch (error) {
+            // Put the batch back, dropping the oldest events like enqueueAnalyticsEvent does,
+            // and retry with the same backoff as the submission outbox
+            const { maxQueueSize } = this.config.analyticsTransport;
+            this.analyticsQueue = events.concat(this.analyticsQueue).slice(-maxQueueSize);
+            this.analyticsFailures += 1;
+            clearTimeout(this.analyticsFlushTimer);
+            this.analyticsFlushTimer = setTimeout(() => this.flushAnalyticsQueue(), this.getRetryDelay(this.analyticsFailures));
             if (this.config.debug) console.warn('⚠️ Analytics webhook failed', error);
         }
     }
 
+    /**
+     * Wrap a payload in the signed envelope doPost expects. The HMAC covers the
+     * timestamp, a one-time nonce and the exact payload string, so the webhook
+     * can reject forged, altered and replayed requests. Synchronous (crypto.subtle
+     * only signs asynchronously) so page-hide flushes can sign and send in one go.
+     */
+    signWebhookPayload(payload) {
+        const json = JSON.stringify(payload);
+        // Corrected by the webhook's clock, so a visitor whose clock is off is not refused forever
+        const timestamp = String(Date.now() + this.clockOffsetMs);
+        const nonce = window.crypto.randomUUID ? window.crypto.randomUUID() : this.generateSubmissionId();
+        const encoder = new TextEncoder();
+        
+        const signature = this.hmacSha256(
+            encoder.encode(this.config.webhookSigning.siteKey),
+            encoder.encode(`${timestamp}.${nonce}.${json}`)
+        );
+        
+        return JSON.stringify({
+            auth: {
+                timestamp,
+                nonce,
+                signature: Array.from(signature).map(byte => byte.toString(16).padStart(2, '0')).join('')
+            },
+            payload: json
+        });
+    }
+
+    /**
+     * HMAC-SHA256 (RFC 2104) over byte arrays
+     */
+    hmacSha256(key, message) {
+        const block = new Uint8Array(64);
+        block.set(key.length > 64 ? this.sha256Bytes(key) : key);
+        
+        const inner = new Uint8Array(64 + message.length);
+        const outer = new Uint8Array(64 + 32);
+        for (let i = 0; i < 64; i++) {
+            inner[i] = block[i] ^ 0x36;
+            outer[i] = block[i] ^ 0x5c;
+        }
+        inner.set(message, 64);
+        outer.set(this.sha256Bytes(inner), 64);
+        return this.sha256Bytes(outer);
+    }
+
+    /**
+     * Synchronous SHA-256 (FIPS 180-4) of a byte array, for hmacSha256
+     */
+    sha256Bytes(bytes) {
+        const K = [
+            0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+            0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+            0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+            0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+            0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+            0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+            0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+            0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+        ];
+        const H = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+        
+        // Message, a 1 bit, zero padding and the bit length, in 64-byte blocks
+        const padded = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+        padded.set(bytes);
+        padded[bytes.length] = 0x80;
+        const view = new DataView(padded.buffer);
+        view.setUint32(padded.length - 8, Math.floor(bytes.length / 0x20000000));
+        view.setUint32(padded.length - 4, (bytes.length * 8) >>> 0);
+        
+        const w = new Array(64);
+        for (let offset = 0; offset < padded.length; offset += 64) {
+            for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+            }
+            
+            let [a, b, c, d, e, f, g, h] = H;
+            for (let i = 0; i < 64; i++) {
+                const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+                const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                h = g;
+                g = f;
+                f = e;
+                e = (d + t1) | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) | 0;
+            }
+            [a, b, c, d, e, f, g, h].forEach((value, i) => {
+                H[i] = (H[i] + value) | 0;
+            });
+        }
+        
+        const digest = new Uint8Array(32);
+        const digestView = new DataView(digest.buffer);
+        H.forEach((value, i) => digestView.setUint32(i * 4, value >>> 0));
+        return digest;
+    }
+
+    /**
+     * A stale_timestamp refusal carries the webhook's clock; later requests are
+     * signed against it. Returns true when the response was such a refusal.
+     */
+    adoptServerClock(response) {
+        if (!response || response.reason !== 'stale_timestamp' || !response.server_time) return false;
+        this.clockOffsetMs = Number(response.server_time) - Date.now();
+        if (this.config.debug) console.warn(`⏱️ Browser clock is ${this.clockOffsetMs}ms off the webhook's`);
+        return true;
+    }
+
+    getTimezone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
     /**
      * Configuration and status methods
      */
     configure(newConfig) {
         this.config = { ...this.config, ...newConfig };
+        this.redactionOptions = null;
+        this.basePath = null;
         if (this.config.debug) {
             console.log('⚙️ Configuration updated:', this.config);
         }
@@ -903,11 +4660,14 @@ class MRDBrainSystem {
         return {
             initialized: !!this.currentSession,
             sessionActive: !!this.currentSession,
-            analyticsEnabled: this.config.enableAnalytics,
-            performanceMonitoring: this.config.enablePerformanceMonitoring,
-            seoEnabled: this.config.enableSEOManagement,
+            outbox: this.getOutboxStats(),
+            plugins: this.getPluginStatus(),
+            consent: this.consent ? this.consent.categories : null,
+            storage: this.getStorageUsage(),
             currentPage: this.getCurrentPage(),
-            sessionId: this.getCurrentSessionId()
+            sessionId: this.getCurrentSessionId(),
+            visitorId: this.currentSession ? this.currentSession.visitorId : null,
+            sessionNumber: this.currentSession ? this.currentSession.number : null
         };
     }
 
@@ -915,6 +4675,141 @@ class MRDBrainSystem {
         console.log('📊 MRD Brain System Status:', this.getStatus());
     }
 
+    /**
+     * Bytes used by mrd_brain_* keys (localStorage stores UTF-16, two bytes a character)
+     */
+    getStorageUsage() {
+        const usage = { bytes: 0, limit: this.config.maxLocalStorageSize, keys: {} };
+        try {
+            Object.keys(localStorage).forEach(key => {
+                if (!key.startsWith(this.config.localStoragePrefix)) return;
+                const bytes = (key.length + (localStorage.getItem(key) || '').length) * 2;
+                usage.keys[key.slice(this.config.localStoragePrefix.length)] = bytes;
+                usage.bytes += bytes;
+            });
+        } catch (error) {
+            console.warn('⚠️ Failed to read localStorage usage:', error);
+        }
+        return usage;
+    }
+
+    /**
+     * Event bus for page scripts and plugins. Handlers get (payload, type);
+     * '*' receives every event. Returns a function that removes the handler.
+     *
+     * Published: form_submission { record, form }, session_start, session_end,
+     * page_view, vital, batch_sent { kind, count }, submission_sent,
+     * submission_failed, consent_change { consent, previous } and
+     * event_tracked (every event trackEvent keeps).
+     */
+    on(type, handler) {
+        (this.eventHandlers[type] = this.eventHandlers[type] || []).push(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        if (!this.eventHandlers[type]) return;
+        this.eventHandlers[type] = this.eventHandlers[type].filter(h => h !== handler);
+    }
+
+    /**
+     * A handler that throws is logged and skipped; it never breaks the brain or other handlers
+     */
+    emit(type, payload) {
+        const handlers = (this.eventHandlers[type] || []).concat(type === '*' ? [] : (this.eventHandlers['*'] || []));
+        handlers.forEach(handler => {
+            try {
+                handler(payload, type);
+            } catch (error) {
+                console.error(`❌ ${type} handler failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Call listener with every tracked event. Returns a function that unsubscribes.
+     */
+    subscribeToEvents(listener) {
+        return this.on('event_tracked', listener);
+    }
+
+    /**
+     * Admin overlay: only fetched once the key from the URL (or from earlier in
+     * this tab) matches config.admin.keyHash, so normal visitors never load it
+     */
+    async initializeAdminOverlay() {
+        const params = new URLSearchParams(window.location.search);
+        const flag = params.get('mrd_admin');
+        const key = params.get('mrd_key');
+        
+        if (flag !== null || key !== null) {
+            // Keep the key out of history, bookmarks and analytics
+            params.delete('mrd_admin');
+            params.delete('mrd_key');
+            const query = params.toString();
+            history.replaceState(history.state, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+        }
+        
+        try {
+            if (flag === '0') {
+                sessionStorage.removeItem(this.config.localStoragePrefix + 'admin');
+                return;
+            }
+            
+            const { keyHash } = this.config.admin;
+            if (!keyHash) {
+                if (flag === '1') console.warn('⚠️ Admin overlay is off: set config.admin.keyHash to the SHA-256 hex of your key');
+                return;
+            }
+            
+            const storedHash = sessionStorage.getItem(this.config.localStoragePrefix + 'admin');
+            const hash = flag === '1' && key ? await this.sha256Hex(key) : storedHash;
+            if (hash !== keyHash) return;
+            
+            sessionStorage.setItem(this.config.localStoragePrefix + 'admin', hash);
+            this.loadAdminOverlay();
+        } catch (error) {
+            console.warn('⚠️ Admin overlay unavailable:', error);
+        }
+    }
+
+    loadAdminOverlay() {
+        if (this.adminOverlay) return;
+        
+        const mount = () => {
+            this.adminOverlay = new MRDAdminOverlay(this);
+            this.adminOverlay.mount();
+        };
+        if (typeof MRDAdminOverlay !== 'undefined') {
+            mount();
+            return;
+        }
+        
+        const script = document.createElement('script');
+        script.src = this.config.admin.scriptUrl ||
+            (this.scriptSrc ? this.scriptSrc.replace(/mrd-brain-system\.js(\?.*)?$/, 'mrd-admin-overlay.js') : 'mrd-admin-overlay.js');
+        script.onload = () => {
+            if (document.body) mount();
+            else document.addEventListener('DOMContentLoaded', mount);
+        };
+        document.head.appendChild(script);
+    }
+
+    /**
+     * Everything this browser holds under mrd_brain_*, parsed
+     */
+    exportData() {
+        const data = {};
+        Object.keys(this.getStorageUsage().keys).forEach(key => {
+            data[key] = this.getLocalData(key);
+        });
+        return {
+            exported_at: new Date().toISOString(),
+            status: this.getStatus(),
+            data
+        };
+    }
+
     /**
      * Data export methods
      */
@@ -945,7 +4840,14 @@ class MRDBrainSystem {
         const csv = this.convertToCSV(data);
         if (!csv) return;
         
-        const blob = new Blob([csv], { type: 'text/csv' });
+        this.downloadFile(csv, filename, 'text/csv');
+    }
+
+    /**
+     * Save text as a file through a temporary object URL
+     */
+    downloadFile(content, filename, type = 'text/plain') {
+        const blob = new Blob([content], { type });
         const url = window.URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
@@ -955,10 +4857,21 @@ class MRDBrainSystem {
     }
 
     /**
-     * Cleanup methods
+     * Cleanup methods. Clearing also forgets the consent choice, so collection
+     * stops until the visitor chooses again. Submissions not yet delivered are
+     * kept and still sent: the outbox promises never to lose one.
      */
     clearAllData() {
         try {
+            const previous = {
+                analytics: this.hasConsent('analytics'),
+                performance: this.hasConsent('performance')
+            };
+            const pending = this.getOutbox().filter(record => !this.isOutboxRecordSettled(record));
+            this.stopAnalytics();
+            this.stopPerformanceMonitoring();
+            this.consent = null;
+            
             const keys = Object.keys(localStorage);
             keys.forEach(key => {
                 if (key.startsWith(this.config.localStoragePrefix)) {
@@ -966,6 +4879,13 @@ class MRDBrainSystem {
                 }
             });
             
+            if (pending.length) {
+                this.saveOutbox(pending);
+                this.flushOutbox();
+            }
+            
+            this.emit('consent_change', { consent: null, previous });
+            
             if (this.config.debug) {
                 console.log('🧹 All MRD Brain data cleared');
             }
@@ -975,17 +4895,15 @@ class MRDBrainSystem {
     }
 
     destroy() {
-        if (this.performanceObserver) {
-            this.performanceObserver.disconnect();
-        }
-        if (this.intersectionObserver) {
-            this.intersectionObserver.disconnect();
-        }
-        if (this.resizeObserver) {
-            this.resizeObserver.disconnect();
+        clearTimeout(this.outboxTimer);
+        this.hideConsentBanner();
+        if (this.adminOverlay) {
+            this.adminOverlay.destroy();
+            this.adminOverlay = null;
         }
         
-        this.endSession();
+        // Last started, first stopped
+        Array.from(this.plugins.keys()).reverse().forEach(name => this.removePlugin(name));
         
         if (this.config.debug) {
             console.log('💀 MRD Brain System destroyed');
@@ -0,0 +1,292 @@
+/**
+ * MRD Modal - accessible dialogs for the signup form and testimonial videos
+ *
+ * The markup stays in each page; MRDModal shows and hides it by toggling
+ * openClass, traps focus while open, locks page scrolling, closes on Escape,
+ * backdrop clicks and the back button, and only loads a YouTube iframe while
+ * the dialog is open. modal_open and modal_close (with dwell time) go to
+ * MRDBrain.trackEvent on pages that load mrd-brain-system.js.
+ *
+ *   const videoModal = MRDModal.register('testimonial-modal', { closeSelector: '.close-modal' });
+ *   videoModal.bindTrigger(card, { videoId: card.getAttribute('data-video-id') });
+ */
+
+class MRDModal {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.id = element.id;
+        this.options = {
+            openClass: 'show',
+            closedClass: null, // removed while open, e.g. Tailwind's 'hidden'
+            closeSelector: '[data-modal-close]',
+            closeOnBackdrop: true,
+            history: true, // the back button closes the dialog instead of leaving the page
+            label: null, // accessible name when the dialog has no heading
+            ...options
+        };
+        this.iframe = element.querySelector('iframe');
+        this.isOpen = false;
+        this.openedAt = null;
+        this.videoId = null;
+        this.returnFocus = null;
+        this.historyEntry = false;
+    }
+
+    /**
+     * One instance per element; registering again returns the existing one
+     */
+    static register(target, options = {}) {
+        const element = typeof target === 'string' ? document.getElementById(target) : target;
+        if (!element) return null;
+
+        if (!MRDModal.instances.has(element)) {
+            const modal = new MRDModal(element, options);
+            modal.setup();
+            MRDModal.instances.set(element, modal);
+            MRDModal.listen();
+        }
+        return MRDModal.instances.get(element);
+    }
+
+    static get(id) {
+        const element = document.getElementById(id);
+        return (element && MRDModal.instances.get(element)) || null;
+    }
+
+    static getTopModal() {
+        return MRDModal.stack[MRDModal.stack.length - 1] || null;
+    }
+
+    static listen() {
+        if (MRDModal.listening) return;
+        MRDModal.listening = true;
+
+        document.addEventListener('keydown', (e) => {
+            const modal = MRDModal.getTopModal();
+            if (!modal) return;
+
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                modal.close('escape');
+            } else if (e.key === 'Tab') {
+                modal.trapFocus(e);
+            }
+        });
+
+        // Focus that escapes anyway (a click on the page behind, a screen reader jump) is pulled back
+        document.addEventListener('focusin', (e) => {
+            const modal = MRDModal.getTopModal();
+            if (modal && !modal.element.contains(e.target)) modal.focusInitial();
+        });
+
+        window.addEventListener('popstate', () => {
+            if (MRDModal.expectingPopState) {
+                MRDModal.expectingPopState = false;
+                return;
+            }
+            const modal = MRDModal.getTopModal();
+            if (modal && modal.historyEntry) {
+                modal.historyEntry = false;
+                modal.close('back');
+            }
+        });
+    }
+
+    static youtubeEmbedUrl(videoId) {
+        return `https://www.youtube.com/embed/${encodeURIComponent(videoId)}?autoplay=1&rel=0`;
+    }
+
+    static track(eventType, data) {
+        if (window.MRDBrain && typeof window.MRDBrain.trackEvent === 'function') {
+            window.MRDBrain.trackEvent(eventType, data);
+        }
+    }
+
+    setup() {
+        const element = this.element;
+        element.setAttribute('role', 'dialog');
+        element.setAttribute('aria-modal', 'true');
+        if (!element.hasAttribute('tabindex')) element.setAttribute('tabindex', '-1');
+
+        const heading = element.querySelector('h1, h2, h3, h4');
+        if (this.options.label) {
+            element.setAttribute('aria-label', this.options.label);
+        } else if (heading && !element.hasAttribute('aria-labelledby')) {
+            if (!heading.id) heading.id = `${this.id}-title`;
+            element.setAttribute('aria-labelledby', heading.id);
+        } else if (this.iframe && this.iframe.title && !element.hasAttribute('aria-label')) {
+            element.setAttribute('aria-label', this.iframe.title);
+        }
+
+        element.querySelectorAll(this.options.closeSelector).forEach(button => {
+            this.makeButton(button);
+            if (!button.getAttribute('aria-label')) button.setAttribute('aria-label', 'Close');
+            button.addEventListener('click', () => this.close('button'));
+        });
+
+        element.addEventListener('click', (e) => {
+            if (this.options.closeOnBackdrop && e.target === element) this.close('backdrop');
+        });
+    }
+
+    /**
+     * Open the dialog from a card or link. options.videoId (or options.src)
+     * loads the iframe; it is unloaded again on close so playback stops.
+     */
+    bindTrigger(trigger, options = {}) {
+        this.makeButton(trigger);
+        trigger.setAttribute('aria-haspopup', 'dialog');
+        trigger.setAttribute('aria-controls', this.id);
+        trigger.addEventListener('click', (e) => {
+            if (trigger.tagName === 'A') e.preventDefault();
+            this.open({ ...options, trigger });
+        });
+    }
+
+    makeButton(element) {
+        if (/^(BUTTON|A)$/.test(element.tagName)) return;
+
+        element.setAttribute('role', 'button');
+        if (!element.hasAttribute('tabindex')) element.setAttribute('tabindex', '0');
+        element.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                element.click();
+            }
+        });
+    }
+
+    open(options = {}) {
+        if (this.isOpen) return;
+
+        this.isOpen = true;
+        this.openedAt = Date.now();
+        this.videoId = options.videoId || null;
+        this.returnFocus = options.trigger || document.activeElement;
+
+        if (this.iframe && (options.src || options.videoId)) {
+            this.iframe.src = options.src || MRDModal.youtubeEmbedUrl(options.videoId);
+        }
+
+        if (!MRDModal.stack.length) this.lockScroll();
+        MRDModal.stack.push(this);
+        this.element.classList.add(this.options.openClass);
+        if (this.options.closedClass) this.element.classList.remove(this.options.closedClass);
+
+        if (this.options.history && window.history && window.history.pushState) {
+            window.history.pushState({ ...(window.history.state || {}), mrdModal: this.id }, '');
+            this.historyEntry = true;
+        }
+
+        this.focusInitial();
+        MRDModal.track('modal_open', { modal_id: this.id, video_id: this.videoId || undefined });
+    }
+
+    /**
+     * reason is reported with modal_close: button, backdrop, escape, back, or the caller's own
+     */
+    close(reason = 'api') {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.element.classList.remove(this.options.openClass);
+        if (this.options.closedClass) this.element.classList.add(this.options.closedClass);
+
+        if (this.iframe && this.iframe.getAttribute('src') && this.iframe.getAttribute('src') !== 'about:blank') {
+            this.iframe.src = 'about:blank';
+        }
+
+        MRDModal.stack = MRDModal.stack.filter(modal => modal !== this);
+        if (!MRDModal.stack.length) this.unlockScroll();
+
+        // Closed from the page: drop the history entry open() added, without closing anything else
+        if (this.historyEntry) {
+            this.historyEntry = false;
+            if (window.history.state && window.history.state.mrdModal === this.id) {
+                MRDModal.expectingPopState = true;
+                window.history.back();
+            }
+        }
+
+        const returnFocus = this.returnFocus;
+        this.returnFocus = null;
+        if (returnFocus && returnFocus.focus && document.contains(returnFocus)) {
+            returnFocus.focus({ preventScroll: true });
+        }
+
+        MRDModal.track('modal_close', {
+            modal_id: this.id,
+            video_id: this.videoId || undefined,
+            reason,
+            dwell_ms: Date.now() - this.openedAt
+        });
+    }
+
+    getFocusable() {
+        const selector = 'a[href], button, input:not([type="hidden"]), select, textarea, iframe, [tabindex]';
+        return Array.from(this.element.querySelectorAll(selector)).filter(element =>
+            element.tabIndex >= 0 && !element.disabled && !element.closest('[aria-hidden="true"]'));
+    }
+
+    /**
+     * First form field if there is one, so the signup form is ready to type
+     * into; otherwise the first control, otherwise the dialog itself
+     */
+    focusInitial() {
+        const focusable = this.getFocusable();
+        const target = this.element.querySelector('[autofocus]') ||
+            focusable.find(element => /^(INPUT|SELECT|TEXTAREA)$/.test(element.tagName)) ||
+            focusable[0] ||
+            this.element;
+        target.focus({ preventScroll: true });
+    }
+
+    trapFocus(e) {
+        const focusable = this.getFocusable();
+        if (!focusable.length) {
+            e.preventDefault();
+            this.element.focus();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+        if (e.shiftKey && (active === first || active === this.element)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Padding stands in for the scrollbar that overflow: hidden removes, so the page doesn't jump
+     */
+    lockScroll() {
+        const body = document.body;
+        const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+        MRDModal.scrollState = { overflow: body.style.overflow, paddingRight: body.style.paddingRight };
+        body.style.overflow = 'hidden';
+        if (scrollbarWidth > 0) body.style.paddingRight = `${scrollbarWidth}px`;
+    }
+
+    unlockScroll() {
+        if (!MRDModal.scrollState) return;
+        document.body.style.overflow = MRDModal.scrollState.overflow;
+        document.body.style.paddingRight = MRDModal.scrollState.paddingRight;
+        MRDModal.scrollState = null;
+    }
+}
+
+MRDModal.instances = new Map();
+MRDModal.stack = [];
+MRDModal.listening = false;
+MRDModal.expectingPopState = false;
+MRDModal.scrollState = null;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MRDModal;
+}
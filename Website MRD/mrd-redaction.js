@@ -0,0 +1,144 @@
+/**
+ * MRD Redaction - PII masking for telemetry
+ *
+ * Shared by the browser (loaded before mrd-brain-system.js) and the Apps
+ * Script webhook (added to the same project as analytics-webhook-clean.js),
+ * so it must not touch the DOM, `window` or any Apps Script service.
+ */
+
+const MRDRedaction = (function() {
+    /**
+     * Pattern rules, applied in order. ID numbers run before phone numbers
+     * because a 13 digit ID would otherwise be half-matched as a phone.
+     */
+    const DEFAULT_RULES = [
+        {
+            name: 'email',
+            pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+            replacement: '[email]'
+        },
+        {
+            // South African ID number: YYMMDD + 7 digits
+            name: 'id_number',
+            pattern: /\b\d{2}(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\d|3[01])\d{7}\b/g,
+            replacement: '[id_number]'
+        },
+        {
+            // +27 / 0027 / 0xx local numbers, then other international numbers
+            name: 'phone',
+            pattern: /(?:(?:\+|00)27[\s-]?|\b0)\(?\d{2}\)?[\s-]?\d{3}[\s-]?\d{4}\b|\+\d{1,3}[\s-]?\d{2,4}[\s-]?\d{3,4}[\s-]?\d{3,4}\b/g,
+            replacement: '[phone]'
+        }
+    ];
+
+    const DEFAULT_STRIP_QUERY_PARAMS = [
+        'email', 'e', 'phone', 'tel', 'mobile', 'name', 'id_number',
+        'token', 'access_token', 'id_token', 'auth', 'key', 'code', 'password', 'session', 'sid'
+    ];
+
+    // Keys the pipeline never rewrites (identifiers and timestamps we generate ourselves)
+    const DEFAULT_SKIP_KEYS = ['timestamp', 'sent_at', 'session_id', 'submission_id', 'sample_rate'];
+
+    // Keys that always hold a URL, even when relative
+    const URL_KEYS = ['url', 'href', 'referrer', 'page_url', 'src'];
+
+    function getOptions(options) {
+        options = options || {};
+        return {
+            rules: DEFAULT_RULES.concat(options.extraRules || []),
+            stripQueryParams: (options.stripQueryParams || DEFAULT_STRIP_QUERY_PARAMS).map(function(param) {
+                return param.toLowerCase();
+            }),
+            skipKeys: options.skipKeys || DEFAULT_SKIP_KEYS
+        };
+    }
+
+    function redactText(text, options) {
+        const opts = options && options.rules ? options : getOptions(options);
+        return opts.rules.reduce(function(result, rule) {
+            return result.replace(rule.pattern, rule.replacement);
+        }, text);
+    }
+
+    /**
+     * Drop sensitive query (and hash) parameters and mask what is left.
+     * Parsed by hand because Apps Script has no URL class.
+     */
+    function redactUrl(url, options) {
+        const opts = options && options.rules ? options : getOptions(options);
+        const hashIndex = url.indexOf('#');
+        const hash = hashIndex === -1 ? '' : url.slice(hashIndex + 1);
+        const withoutHash = hashIndex === -1 ? url : url.slice(0, hashIndex);
+        const queryIndex = withoutHash.indexOf('?');
+        const base = queryIndex === -1 ? withoutHash : withoutHash.slice(0, queryIndex);
+        const query = queryIndex === -1 ? '' : withoutHash.slice(queryIndex + 1);
+
+        function filterParams(params) {
+            return params.split('&').filter(function(pair) {
+                if (!pair) return false;
+                const name = decodeSafe(pair.split('=')[0]).toLowerCase();
+                return opts.stripQueryParams.indexOf(name) === -1;
+            }).join('&');
+        }
+
+        const cleanQuery = filterParams(query);
+        // Only treat the fragment as parameters when it looks like some (e.g. #access_token=...)
+        const cleanHash = hash.indexOf('=') === -1 ? hash : filterParams(hash);
+
+        return redactText(
+            base + (cleanQuery ? '?' + cleanQuery : '') + (cleanHash ? '#' + cleanHash : ''),
+            opts
+        );
+    }
+
+    function decodeSafe(value) {
+        try {
+            return decodeURIComponent(value.replace(/\+/g, ' '));
+        } catch (error) {
+            return value;
+        }
+    }
+
+    function isUrl(key, value) {
+        return URL_KEYS.indexOf(key) !== -1 || /^https?:\/\//i.test(value);
+    }
+
+    /**
+     * Return a redacted deep copy of an event (or any JSON-like value)
+     */
+    function redactEvent(value, options, key) {
+        const opts = options && options.rules ? options : getOptions(options);
+
+        if (typeof value === 'string') {
+            if (key && opts.skipKeys.indexOf(key) !== -1) return value;
+            return isUrl(key, value) ? redactUrl(value, opts) : redactText(value, opts);
+        }
+        if (Array.isArray(value)) {
+            return value.map(function(item) {
+                return redactEvent(item, opts, key);
+            });
+        }
+        if (value && typeof value === 'object') {
+            const result = {};
+            Object.keys(value).forEach(function(childKey) {
+                result[childKey] = redactEvent(value[childKey], opts, childKey);
+            });
+            return result;
+        }
+        return value;
+    }
+
+    return {
+        DEFAULT_RULES: DEFAULT_RULES,
+        DEFAULT_STRIP_QUERY_PARAMS: DEFAULT_STRIP_QUERY_PARAMS,
+        getOptions: getOptions,
+        redactText: redactText,
+        redactUrl: redactUrl,
+        redactEvent: redactEvent
+    };
+})();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MRDRedaction;
+}